@@ -7,7 +7,9 @@
  * @property {string} source
  * @property {string} level
  * @property {string} message
- * @property {string} [meta]
+ * @property {string} [meta] - When it is a JSON object, a parsed copy is also stored as the meta_fields sub-document for filtering and indexing.
+ * @property {string} [fingerprint]
+ * @property {Date} [restored_at] - When the log entry was restored from an archive.
  */
 
 /**
@@ -19,9 +21,51 @@
  * @property {Date} [gte_timestamp]
  * @property {string[]} [hostnames]
  * @property {{source: string, level: string}[]} [level_json]
+ * @property {string} [fingerprint]
+ * @property {Object<string, *>} [metaFilters] - Conditions on paths of the JSON meta, e.g. { 'meta.requestId': 'abc', 'meta.duration': { $gte: 100 } }.
+ * @property {string} [cursor] - The nextCursor or prevCursor of an earlier result.
+ * @property {boolean} [withCounts] - Whether to count all the matching log entries.
+ * @property {string[]} [facets] - The fields to count the matching log entries by: 'hostname', 'source' and/or 'level'.
  * @property {number} [limit=100]
  */
 
+/**
+ * @typedef {Object} Issue
+ * @property {string} id
+ * @property {string} fingerprint
+ * @property {string} source
+ * @property {string} level
+ * @property {string} message - The message of the first log entry grouped into the issue.
+ * @property {'open'|'resolved'|'ignored'} status
+ * @property {string} [assignee] - The ID of the user assigned to the issue.
+ * @property {Date} [resolved_at]
+ * @property {Date} first_seen
+ * @property {Date} last_seen
+ * @property {number} count
+ * @property {string[]} hostnames
+ */
+
+/**
+ * @typedef {Object} IssueFilter
+ * @property {'open'|'resolved'|'ignored'} [status]
+ * @property {string} [assignee]
+ * @property {string[]} [hostnames]
+ * @property {{source: string, level: string}[]} [level_json]
+ * @property {Date} [lte_timestamp]
+ * @property {Date} [gte_timestamp]
+ * @property {'last_seen'|'first_seen'|'count'} [sort='last_seen']
+ * @property {number} [limit=100]
+ */
+
+/**
+ * @typedef {Object} LogStat
+ * @property {Date} timestamp - The start of the time bucket.
+ * @property {string} [hostname]
+ * @property {string} [source]
+ * @property {string} [level]
+ * @property {number} count
+ */
+
 /**
  * @typedef {Object} Config
  * @property {string} id
@@ -29,12 +73,21 @@
  * @property {string} value
  */
 
+/**
+ * @typedef {Object} RetentionRule
+ * @property {string} [source]
+ * @property {string} [level]
+ * @property {number} ttl - The retention period in milliseconds.
+ */
+
 /**
  * @typedef {Object} User
  * @property {string} id
  * @property {string} name
  * @property {string} email
  * @property {string} role
+ * @property {number} [failed_login_attempts] - The consecutive failed login attempts since the last successful login or lockout.
+ * @property {Date} [locked_until] - The end of the lockout after too many failed login attempts.
  */
 
 /**
@@ -48,11 +101,28 @@
  */
 
 const bcrypt = require('bcryptjs');
-const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { EventEmitter, on } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { StringDecoder } = require('string_decoder');
+const zlib = require('zlib');
 const { MongoClient, ObjectId } = require('mongodb');
 
 const packageJSON = require('../package.json');
 const saltRounds = 10;
+const userProjection = { hashed_password: 0, password_history: 0 };
+const logLevels = ['debug', 'info', 'warn', 'error', 'alert'];
+const pruneBatchSize = 10000;
+const authenticationFailedCode = 18;
+const issueStatuses = ['open', 'resolved', 'ignored'];
+const searchQueryFields = { hostname: 'hostname', host: 'hostname', source: 'source', level: 'level', errsole_id: 'errsole_id', pid: 'pid', message: 'message' };
+const metaFilterOperators = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists'];
+const defaultExportColumns = ['id', 'timestamp', 'hostname', 'pid', 'source', 'level', 'message', 'errsole_id'];
 
 class ErrsoleMongoDB extends EventEmitter {
   /**
@@ -64,7 +134,43 @@ class ErrsoleMongoDB extends EventEmitter {
   constructor (uri, dbNameOrOptions, options = {}) {
     super();
 
-    let { collectionPrefix, ...connectionOptions } = typeof dbNameOrOptions === 'object' ? dbNameOrOptions : options;
+    let {
+      collectionPrefix,
+      batchSize,
+      flushInterval,
+      maxBatchBytes,
+      adaptiveBatching,
+      minBatchSize,
+      maxBatchSize,
+      spillDirectory,
+      spillMaxBytes,
+      flushRetryAttempts,
+      flushRetryDelay,
+      flushRetryMaxDelay,
+      maxPendingLogs,
+      maxPendingBytes,
+      overflowPolicy,
+      overflowMinLevel,
+      closeOnExit,
+      connectRetryAttempts,
+      connectRetryDelay,
+      connectRetryMaxDelay,
+      timeSeriesLogs,
+      timeSeriesGranularity,
+      searchWindow,
+      countLimit,
+      pruneInterval,
+      archiveDirectory,
+      archiveGracePeriod,
+      restoreRetention,
+      issueLevels,
+      metaIndexPaths,
+      maxLoginAttempts,
+      loginLockoutDuration,
+      passwordPolicy,
+      passwordHashCost,
+      ...connectionOptions
+    } = typeof dbNameOrOptions === 'object' ? dbNameOrOptions : options;
     collectionPrefix = collectionPrefix ? `errsole_${collectionPrefix.toLowerCase().replace(/[^a-z0-9]/g, '')}` : 'errsole';
 
     this.client = new MongoClient(uri, connectionOptions);
@@ -73,41 +179,285 @@ class ErrsoleMongoDB extends EventEmitter {
     this.notificationsCollectionName = `${collectionPrefix}_notifications`;
     this.usersCollectionName = `${collectionPrefix}_users`;
     this.configCollectionName = `${collectionPrefix}_config`;
+    this.issuesCollectionName = `${collectionPrefix}_issues`;
+    this.passwordResetsCollectionName = `${collectionPrefix}_password_resets`;
+
+    this.timeSeriesLogs = !!timeSeriesLogs;
+    this.timeSeriesGranularity = timeSeriesGranularity || 'seconds';
+    this.isTimeSeriesLogsCollection = false;
+    this.searchWindow = searchWindow !== undefined ? searchWindow : 86400000; // 1 day
+    this.countLimit = countLimit !== undefined ? countLimit : 100000;
+    this.maxLoginAttempts = maxLoginAttempts !== undefined ? maxLoginAttempts : 5;
+    this.loginLockoutDuration = loginLockoutDuration || 900000; // 15 minutes
+    this.passwordPolicy = {
+      minLength: 0,
+      requireLowercase: false,
+      requireUppercase: false,
+      requireDigit: false,
+      requireSymbol: false,
+      historySize: 0,
+      ...passwordPolicy
+    };
+    this.passwordHashCost = passwordHashCost || saltRounds;
 
     this.name = packageJSON.name;
     this.version = packageJSON.version || '0.0.0';
 
     this.isConnectionInProgress = true;
+    this.connectRetryAttempts = connectRetryAttempts !== undefined ? connectRetryAttempts : 10;
+    this.connectRetryDelay = connectRetryDelay || 1000;
+    this.connectRetryMaxDelay = connectRetryMaxDelay || 30000;
     this.pendingLogs = [];
-    this.batchSize = 100;
-    this.flushInterval = 1000;
+    this.pendingLogsBytes = 0;
+    this.inFlightLogsCount = 0;
+    this.inFlightLogsBytes = 0;
+    this.maxPendingLogs = maxPendingLogs !== undefined ? maxPendingLogs : 100000;
+    this.maxPendingBytes = maxPendingBytes || 0;
+    this.overflowPolicy = overflowPolicy || 'drop-oldest';
+    this.overflowMinLevel = overflowMinLevel || 'error';
+    this.droppedLogsCount = 0;
+    this.blockedPosts = [];
+    this.batchSize = batchSize || 100;
+    this.flushInterval = flushInterval || 1000;
+    this.maxBatchBytes = maxBatchBytes || 0;
+    this.adaptiveBatching = !!adaptiveBatching;
+    this.minBatchSize = minBatchSize || 10;
+    this.maxBatchSize = maxBatchSize || 1000;
+    this.flushRetryAttempts = flushRetryAttempts !== undefined ? flushRetryAttempts : 3;
+    this.flushRetryDelay = flushRetryDelay || 200;
+    this.flushRetryMaxDelay = flushRetryMaxDelay || 5000;
+    this.pruneInterval = pruneInterval || 60000;
+    this.isPruningLogs = false;
+    this.archiveDirectory = archiveDirectory;
+    this.archiveGracePeriod = archiveGracePeriod || 86400000; // 1 day
+    this.restoreRetention = restoreRetention || 604800000; // 7 days
+    this.issueLevels = issueLevels || ['error', 'alert'];
+    this.metaIndexPaths = (metaIndexPaths || []).map(getMetaFieldsPath);
+
+    // Processes sharing the spill directory each write their own spill file, named after their host and process id.
+    this.spillDirectory = spillDirectory;
+    this.spillFilePath = spillDirectory ? path.join(spillDirectory, `${this.logsCollectionName}.${os.hostname()}.${process.pid}.spill.ndjson`) : undefined;
+    this.spillMaxBytes = spillMaxBytes || 104857600; // 100 MB
+    this.hasSpilledLogs = !!this.spillFilePath;
+    this.spillLock = Promise.resolve();
+
+    this.inFlightFlushes = new Set();
+    this.logTails = new Set();
+    this.isClosed = false;
+    this.closeOnExit = !!closeOnExit;
+    if (this.closeOnExit) {
+      this.addExitHandlers();
+    }
 
-    this.init();
+    // Connection failures are reported through 'error' events and the ready() promise.
+    this.init().catch(() => {});
   }
 
   async init () {
-    await this.client.connect();
-    this.db = this.client.db(this.dbName);
-    await this.ensureCollections();
-    this.isConnectionInProgress = false;
+    this.connectionPromise = this.connect();
+    await this.connectionPromise;
     this.emit('ready');
-    setInterval(() => this.flushLogs(), this.flushInterval);
+    if (this.closePromise) {
+      return;
+    }
+    this.flushTimer = setInterval(() => this.flushLogs(), this.flushInterval);
+    this.pruneTimer = setInterval(() => {
+      this.applyRetentionRules().then(() => this.pruneLogs()).catch(err => this.emitError(err));
+    }, this.pruneInterval);
+    if (this.closeOnExit) {
+      this.flushTimer.unref();
+      this.pruneTimer.unref();
+    }
     await this.ensureLogsTTL();
   }
 
+  /**
+   * Connects to MongoDB and ensures the collections exist, retrying with exponential backoff until it succeeds
+   * or the retry attempts are exhausted. Invalid connection strings, options and credentials are not retried.
+   * Once the retry attempts are exhausted, the next flush of pending logs starts connecting again.
+   * Emits an 'error' event for each failed attempt and a 'reconnecting' event before each retry.
+   *
+   * @async
+   * @function connect
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object once connected.
+   * @throws {Error} - Throws the last connection error if it is permanent, the retry attempts are exhausted or the storage is closed.
+   */
+  async connect () {
+    this.isConnectionInProgress = true;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.client.connect();
+        this.db = this.client.db(this.dbName);
+        await this.ensureCollections();
+        this.isConnectionInProgress = false;
+        return {};
+      } catch (err) {
+        this.emitError(err);
+        if (attempt > this.connectRetryAttempts || this.closePromise || isPermanentConnectionError(err)) {
+          this.isConnectionInProgress = false;
+          throw err;
+        }
+        const delay = getRetryDelay(attempt, this.connectRetryDelay, this.connectRetryMaxDelay);
+        this.emit('reconnecting', { attempt, delay, error: err });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Waits until the connection to MongoDB is established.
+   *
+   * @async
+   * @function ready
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object once connected.
+   * @throws {Error} - Throws the connection error if the connection could not be established.
+   */
+  async ready () {
+    await this.connectionPromise;
+    return {};
+  }
+
+  /**
+   * Emits an 'error' event, falling back to the console when nothing listens for it, so errors never crash the process.
+   *
+   * @param {Error} err - The error to report.
+   */
+  emitError (err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    } else {
+      console.error(err);
+    }
+  }
+
+  /**
+   * Closes the storage: stops the flush timer, drains the pending logs, waits for in-flight inserts and closes the MongoDB client.
+   * Log entries that could not be drained within the timeout are written to the spill file if one is configured.
+   *
+   * @async
+   * @function close
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=10000] - The maximum time (in milliseconds) to wait for the pending logs to drain.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object once the client is closed.
+   */
+  async close ({ timeoutMs = 10000 } = {}) {
+    if (this.closePromise) {
+      return this.closePromise;
+    }
+    this.closePromise = (async () => {
+      clearInterval(this.flushTimer);
+      clearInterval(this.pruneTimer);
+      this.removeExitHandlers();
+
+      let timeout;
+      const isDrained = await Promise.race([
+        this.drainLogs().then(() => true),
+        new Promise(resolve => { timeout = setTimeout(() => resolve(false), timeoutMs); })
+      ]);
+      clearTimeout(timeout);
+      this.isClosed = true;
+
+      if (!isDrained) {
+        const remainingLogs = this.pendingLogs.splice(0, this.pendingLogs.length);
+        this.pendingLogsBytes = 0;
+        this.blockedPosts.splice(0, this.blockedPosts.length).forEach(({ logEntries, resolve }) => {
+          remainingLogs.push(...logEntries);
+          resolve({});
+        });
+        await this.spillOrDropLogs(remainingLogs);
+      }
+
+      await Promise.all([...this.logTails].map(tail => tail.close()));
+      await this.client.close();
+      this.emit('close');
+      return {};
+    })();
+    return this.closePromise;
+  }
+
+  /**
+   * Flushes the pending logs, including those of blocked postLogs calls, until none remain and all in-flight flushes have settled.
+   *
+   * @async
+   * @function drainLogs
+   * @returns {Promise<void>}
+   */
+  async drainLogs () {
+    await Promise.all(this.inFlightFlushes);
+    while (!this.isClosed && (this.pendingLogs.length > 0 || this.blockedPosts.length > 0)) {
+      await this.flushLogs();
+    }
+    await Promise.all(this.inFlightFlushes);
+  }
+
+  /**
+   * Registers SIGTERM and beforeExit handlers that close the storage before the process exits.
+   */
+  addExitHandlers () {
+    const onSigterm = () => {
+      this.close().catch(err => console.error(err)).finally(() => {
+        // Re-raise the signal so the default handler terminates the process unless the app handles it itself.
+        if (process.listenerCount('SIGTERM') === 0) {
+          process.kill(process.pid, 'SIGTERM');
+        }
+      });
+    };
+    const onBeforeExit = () => {
+      this.close().catch(err => console.error(err));
+    };
+    process.once('SIGTERM', onSigterm);
+    process.once('beforeExit', onBeforeExit);
+    this.exitHandlers = { SIGTERM: onSigterm, beforeExit: onBeforeExit };
+  }
+
+  /**
+   * Removes the handlers registered by addExitHandlers.
+   */
+  removeExitHandlers () {
+    if (!this.exitHandlers) {
+      return;
+    }
+    Object.entries(this.exitHandlers).forEach(([event, handler]) => process.removeListener(event, handler));
+    this.exitHandlers = undefined;
+  }
+
   async ensureCollections () {
     const collections = await this.db.listCollections({}, { nameOnly: true }).toArray();
     const collectionNames = collections.map(collection => collection.name);
 
-    if (!collectionNames.includes(this.logsCollectionName)) {
-      await this.db.createCollection(this.logsCollectionName);
+    const logsCollection = collections.find(collection => collection.name === this.logsCollectionName);
+    if (!logsCollection) {
+      if (this.timeSeriesLogs) {
+        await this.db.createCollection(this.logsCollectionName, {
+          timeseries: { timeField: 'timestamp', metaField: 'metadata', granularity: this.timeSeriesGranularity }
+        });
+      } else {
+        await this.db.createCollection(this.logsCollectionName);
+      }
+      this.isTimeSeriesLogsCollection = this.timeSeriesLogs;
+    } else {
+      this.isTimeSeriesLogsCollection = logsCollection.type === 'timeseries';
+      if (this.timeSeriesLogs && !this.isTimeSeriesLogsCollection) {
+        this.emitError(new Error(`The ${this.logsCollectionName} collection already exists as a regular collection and cannot be converted to a time-series collection.`));
+      }
     }
     await this.db.collection(this.logsCollectionName).createIndex({ hostname: 1, source: 1, level: 1, timestamp: 1, _id: 1 });
     await this.db.collection(this.logsCollectionName).createIndex({ hostname: 1, timestamp: 1, _id: 1 });
     await this.db.collection(this.logsCollectionName).createIndex({ source: 1, level: 1, timestamp: 1, _id: 1 });
     await this.db.collection(this.logsCollectionName).createIndex({ timestamp: 1, _id: 1 });
-    await this.db.collection(this.logsCollectionName).createIndex({ message: 'text' });
+    // Time-series collections do not support text indexes, so searchLogs falls back to regular expressions.
+    if (!this.isTimeSeriesLogsCollection) {
+      await this.db.collection(this.logsCollectionName).createIndex({ message: 'text' });
+    }
     await this.db.collection(this.logsCollectionName).createIndex({ errsole_id: 1 });
+    await this.db.collection(this.logsCollectionName).createIndex({ fingerprint: 1, timestamp: 1, _id: 1 });
+    const restoredIndexOptions = this.isTimeSeriesLogsCollection ? {} : { partialFilterExpression: { restored_at: { $exists: true } } };
+    await this.db.collection(this.logsCollectionName).createIndex({ restored_at: 1 }, restoredIndexOptions);
+    for (const metaPath of this.metaIndexPaths) {
+      // Most logs lack any given meta path, so regular collections only index the logs that have it.
+      const indexOptions = this.isTimeSeriesLogsCollection ? {} : { partialFilterExpression: { [metaPath]: { $exists: true } } };
+      await this.db.collection(this.logsCollectionName).createIndex({ [metaPath]: 1, timestamp: 1, _id: 1 }, indexOptions);
+    }
 
     if (!collectionNames.includes(this.usersCollectionName)) {
       await this.db.createCollection(this.usersCollectionName);
@@ -123,6 +473,20 @@ class ErrsoleMongoDB extends EventEmitter {
       await this.db.createCollection(this.notificationsCollectionName);
     }
     await this.db.collection(this.notificationsCollectionName).createIndex({ hostname: 1, hashed_message: 1, created_at: 1 });
+
+    if (!collectionNames.includes(this.issuesCollectionName)) {
+      await this.db.createCollection(this.issuesCollectionName);
+    }
+    await this.db.collection(this.issuesCollectionName).createIndex({ fingerprint: 1 }, { unique: true });
+    await this.db.collection(this.issuesCollectionName).createIndex({ last_seen: -1 });
+    await this.db.collection(this.issuesCollectionName).createIndex({ status: 1, last_seen: -1 });
+
+    if (!collectionNames.includes(this.passwordResetsCollectionName)) {
+      await this.db.createCollection(this.passwordResetsCollectionName);
+    }
+    await this.db.collection(this.passwordResetsCollectionName).createIndex({ hashed_token: 1 }, { unique: true });
+    await this.db.collection(this.passwordResetsCollectionName).createIndex({ user_id: 1 });
+    await this.db.collection(this.passwordResetsCollectionName).createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
   }
 
   /**
@@ -191,18 +555,110 @@ class ErrsoleMongoDB extends EventEmitter {
 
   /**
    * Adds log entries to the pending logs and flushes them if the batch size is reached.
+   * When the pending logs are full, entries are dropped according to the overflow policy,
+   * or, with the 'block' policy, the returned promise resolves once there is room for them.
    *
    * @param {Log[]} logEntries - An array of log entries to be added to the pending logs.
-   * @returns {Object} - An empty object.
+   * @returns {Object|Promise<{}>} - An empty object, or a Promise that resolves with an empty object when the caller is blocked.
    */
   postLogs (logEntries) {
-    this.pendingLogs.push(...logEntries);
-    if (this.pendingLogs.length >= this.batchSize) {
+    if (this.overflowPolicy === 'block' && (this.blockedPosts.length > 0 || !this.hasPendingLogsCapacity(logEntries))) {
+      return new Promise(resolve => {
+        this.blockedPosts.push({ logEntries, resolve });
+        this.flushLogs();
+      });
+    }
+    logEntries.forEach(logEntry => this.enqueueLog(logEntry));
+    // While connecting, the flush timer is not running yet and the flush after 'ready' writes the whole queue.
+    if (this.pendingLogs.length >= this.batchSize && !this.isConnectionInProgress) {
       this.flushLogs();
     }
     return {};
   }
 
+  /**
+   * Adds a log entry to the pending logs, dropping entries according to the overflow policy when they are full.
+   *
+   * @param {Log} logEntry - The log entry to be added.
+   */
+  enqueueLog (logEntry) {
+    const size = getLogSize(logEntry);
+    if (this.overflowPolicy !== 'block') {
+      while (this.isPendingLogsFull(1, size)) {
+        const evictionIndex = this.getEvictionIndex(logEntry);
+        this.droppedLogsCount++;
+        if (evictionIndex === -1) {
+          return;
+        }
+        const [evictedLog] = this.pendingLogs.splice(evictionIndex, 1);
+        this.pendingLogsBytes -= getLogSize(evictedLog);
+      }
+    }
+    this.pendingLogs.push(logEntry);
+    this.pendingLogsBytes += size;
+  }
+
+  /**
+   * Selects the pending log entry to drop to make room for a new entry.
+   *
+   * @param {Log} logEntry - The log entry waiting to be added.
+   * @returns {number} - The index of the pending log entry to drop, or -1 if the new entry should be dropped instead.
+   */
+  getEvictionIndex (logEntry) {
+    if (this.pendingLogs.length === 0 || this.overflowPolicy === 'drop-newest') {
+      return -1;
+    }
+    if (this.overflowPolicy === 'drop-below-level') {
+      const minLevelRank = logLevels.indexOf(this.overflowMinLevel);
+      if (logLevels.indexOf(logEntry.level) < minLevelRank) {
+        return -1;
+      }
+      const index = this.pendingLogs.findIndex(log => logLevels.indexOf(log.level) < minLevelRank);
+      if (index !== -1) {
+        return index;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Checks whether adding entries would exceed the configured pending logs limits.
+   * Entries taken by a flush count against the limits until they are written, spilled or dropped.
+   *
+   * @param {number} count - The number of entries to be added.
+   * @param {number} bytes - The estimated size of the entries in bytes.
+   * @returns {boolean} - True if the entries do not fit.
+   */
+  isPendingLogsFull (count, bytes) {
+    return (this.maxPendingLogs > 0 && this.pendingLogs.length + this.inFlightLogsCount + count > this.maxPendingLogs) ||
+      (this.maxPendingBytes > 0 && this.pendingLogsBytes + this.inFlightLogsBytes + bytes > this.maxPendingBytes);
+  }
+
+  /**
+   * Checks whether all the given entries fit in the pending logs. An empty queue with no flush in flight always accepts them.
+   *
+   * @param {Log[]} logEntries - The log entries to be added.
+   * @returns {boolean} - True if the entries fit.
+   */
+  hasPendingLogsCapacity (logEntries) {
+    if (this.pendingLogs.length === 0 && this.inFlightLogsCount === 0) {
+      return true;
+    }
+    const bytes = logEntries.reduce((total, logEntry) => total + getLogSize(logEntry), 0);
+    return !this.isPendingLogsFull(logEntries.length, bytes);
+  }
+
+  /**
+   * Adds the entries of blocked postLogs calls to the pending logs while there is room, resolving their promises.
+   */
+  releaseBlockedPosts () {
+    while (this.blockedPosts.length > 0 && this.hasPendingLogsCapacity(this.blockedPosts[0].logEntries)) {
+      const { logEntries, resolve } = this.blockedPosts.shift();
+      logEntries.forEach(logEntry => this.enqueueLog(logEntry));
+      resolve({});
+    }
+  }
+
   /**
    * Flushes pending logs to the database.
    *
@@ -212,600 +668,2891 @@ class ErrsoleMongoDB extends EventEmitter {
    * @throws {Error} - Throws an error if the operation fails.
    */
   async flushLogs () {
-    while (this.isConnectionInProgress) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    const logsToPost = this.pendingLogs.splice(0, this.pendingLogs.length);
-    if (logsToPost.length === 0) {
-      return {};
-    }
+    const flushPromise = this.writePendingLogs();
+    this.inFlightFlushes.add(flushPromise);
     try {
-      await this.db.collection(this.logsCollectionName).insertMany(logsToPost);
-      return {};
-    } catch (err) {
-      return err;
+      return await flushPromise;
+    } finally {
+      this.inFlightFlushes.delete(flushPromise);
     }
   }
 
   /**
-   * Retrieves unique hostnames from the database.
+   * Writes the pending logs to the database, split into batches of at most batchSize entries and maxBatchBytes.
+   * Log entries that fail to insert are retried with exponential backoff, emitting a 'flushRetry' event before each retry
+   * and a 'flushError' event once the retries are exhausted.
    *
    * @async
-   * @function getHostnames
-   * @returns {Promise<{items: string[]}>} - A Promise that resolves with an object containing an array of unique hostnames.
-   * @throws {Error} - Throws an error if the operation fails.
+   * @function writePendingLogs
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object, or with the insert error if the retries are exhausted.
    */
-  async getHostnames () {
+  async writePendingLogs () {
     try {
-      const query = {
-        hostname: { $nin: [null, ''] }
-      };
-
-      const hostnames = await this.db.collection(this.logsCollectionName).distinct('hostname', query);
-
-      const filteredHostnames = hostnames.filter(Boolean).sort();
-      return { items: filteredHostnames };
+      await this.connectionPromise;
     } catch (err) {
+      // Outages can outlast the retry attempts, so logging resumes once the database is reachable again.
+      if (!this.isConnectionInProgress && !this.closePromise && !isPermanentConnectionError(err)) {
+        this.init().catch(() => {});
+      }
+      const takenLogs = this.takePendingLogs();
+      await this.spillOrDropLogs(takenLogs.logs);
+      this.releaseInFlightLogs(takenLogs);
       return err;
     }
+    const takenLogs = this.takePendingLogs();
+    try {
+      return await this.writeLogs(takenLogs.logs);
+    } finally {
+      this.releaseInFlightLogs(takenLogs);
+    }
   }
 
   /**
-   * Retrieves log entries from the database based on specified filters.
+   * Writes log entries taken from the pending logs, after replaying the spill file.
    *
    * @async
-   * @function getLogs
-   * @param {LogFilter} [filters] - Filters to apply for log retrieval.
-   * @returns {Promise<{items: Log[]}>} - A Promise that resolves with an object containing log items.
-   * @throws {Error} - Throws an error if the operation fails.
+   * @function writeLogs
+   * @param {Log[]} logsToPost - The log entries to write.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object, or with the insert error if the retries are exhausted.
    */
-  async getLogs (filters = {}) {
-    const defaultLimit = 100;
-    filters.limit = filters.limit || defaultLimit;
-
-    const query = {};
-    let sortOrder = { _id: -1 };
-    let shouldReverse = true;
-
-    // Apply hostname filter
-    if (filters.hostnames && filters.hostnames.length > 0) {
-      query.hostname = { $in: filters.hostnames };
-    }
-
-    // Apply level_json and errsole_id filters
-    if (filters.level_json || filters.errsole_id) {
-      const orConditions = [];
-      if (filters.level_json && filters.level_json.length > 0) {
-        const levelConditions = filters.level_json.map(levelObj => ({
-          source: levelObj.source,
-          level: levelObj.level
-        }));
-        orConditions.push(...levelConditions);
-      }
-      if (filters.errsole_id) {
-        orConditions.push({ errsole_id: Number(filters.errsole_id) });
-      }
-      if (orConditions.length > 0) {
-        query.$or = orConditions;
+  async writeLogs (logsToPost) {
+    if (this.spillFilePath) {
+      try {
+        await this.replaySpilledLogs();
+      } catch (err) {
+        await this.spillOrDropLogs(logsToPost);
+        return err;
       }
     }
-
-    // Apply id filters
-    if (filters.lt_id) {
-      query._id = { $lt: new ObjectId(filters.lt_id) };
-      sortOrder = { _id: -1 };
-      shouldReverse = true;
+    if (this.adaptiveBatching) {
+      this.adaptBatchSize(logsToPost.length);
     }
-    if (filters.gt_id) {
-      query._id = { $gt: new ObjectId(filters.gt_id) };
-      sortOrder = { _id: 1 };
-      shouldReverse = false;
+    if (logsToPost.length === 0) {
+      return {};
     }
 
-    // Apply timestamp filters
-    if (filters.lte_timestamp || filters.gte_timestamp) {
-      query.timestamp = {};
-      if (filters.lte_timestamp) {
-        query.timestamp.$lte = filters.lte_timestamp;
-        sortOrder = { timestamp: -1, _id: -1 };
-        shouldReverse = true;
-      }
-      if (filters.gte_timestamp) {
-        query.timestamp.$gte = filters.gte_timestamp;
-        sortOrder = { timestamp: 1, _id: 1 };
-        shouldReverse = false;
+    let result = {};
+    for (const batch of splitLogsIntoBatches(logsToPost, this.batchSize, this.maxBatchBytes)) {
+      const error = await this.insertBatch(batch);
+      if (error) {
+        result = error;
       }
     }
+    return result;
+  }
 
-    const documents = await this.db.collection(this.logsCollectionName)
-      .find(query, { projection: { meta: 0 } })
-      .sort(sortOrder)
-      .limit(filters.limit)
-      .toArray();
+  /**
+   * Inserts a batch of log entries, retrying the entries that failed with exponential backoff.
+   * Entries that still fail once the retries are exhausted are written to the spill file if one is configured.
+   *
+   * @async
+   * @function insertBatch
+   * @param {Log[]} batch - The log entries to insert.
+   * @returns {Promise<Error|undefined>} - A Promise that resolves with the insert error if the retries are exhausted.
+   */
+  async insertBatch (batch) {
+    let failedLogs = batch;
+    let error;
+    const insertedLogs = [];
+    for (let attempt = 1; ; attempt++) {
+      const result = await this.insertLogs(failedLogs);
+      insertedLogs.push(...result.insertedLogs);
+      ({ failedLogs, error } = result);
+      if (failedLogs.length === 0 || attempt > this.flushRetryAttempts) {
+        break;
+      }
+      const delay = getRetryDelay(attempt, this.flushRetryDelay, this.flushRetryMaxDelay);
+      this.emit('flushRetry', { attempt, delay, failedCount: failedLogs.length, error });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
 
-    if (shouldReverse) {
-      documents.reverse();
+    await this.updateIssues(insertedLogs).catch(err => this.emitError(err));
+    if (failedLogs.length === 0) {
+      return;
     }
+    this.emit('flushError', { error, failedCount: failedLogs.length, logs: failedLogs });
+    await this.spillOrDropLogs(failedLogs);
+    return error;
+  }
 
-    const formattedDocuments = documents.map(doc => {
-      const { _id, ...rest } = doc;
-      return { id: _id.toString(), ...rest };
-    });
+  /**
+   * Takes all the pending logs for writing. They keep counting against the pending logs limits until releaseInFlightLogs is called.
+   *
+   * @returns {{logs: Log[], bytes: number}} - The log entries taken from the pending logs and their estimated size in bytes.
+   */
+  takePendingLogs () {
+    const logs = this.pendingLogs.splice(0, this.pendingLogs.length);
+    const bytes = this.pendingLogsBytes;
+    this.pendingLogsBytes = 0;
+    this.inFlightLogsCount += logs.length;
+    this.inFlightLogsBytes += bytes;
+    return { logs, bytes };
+  }
 
-    return { items: formattedDocuments };
+  /**
+   * Stops counting log entries taken by a flush once they are written, spilled or dropped, and lets blocked postLogs calls add their entries.
+   *
+   * @param {{logs: Log[], bytes: number}} takenLogs - The log entries returned by takePendingLogs.
+   */
+  releaseInFlightLogs ({ logs, bytes }) {
+    this.inFlightLogsCount -= logs.length;
+    this.inFlightLogsBytes -= bytes;
+    this.releaseBlockedPosts();
   }
 
   /**
-   * Retrieves log entries from the database based on specified search terms and filters.
+   * Writes log entries that could not be inserted to the spill file if one is configured, otherwise counts them as dropped.
    *
    * @async
-   * @function searchLogs
-   * @param {string[]} searchTerms - An array of search terms.
-   * @param {LogFilter} [filters] - Filters to refine the search.
-   * @returns {Promise<{items: Log[]}>} - A promise that resolves with an object containing an array of log items.
-   * @throws {Error} - Throws an error if the operation fails.
+   * @function spillOrDropLogs
+   * @param {Log[]} logs - The log entries that could not be inserted.
+   * @returns {Promise<void>}
    */
-  async searchLogs (searchTerms, filters = {}) {
-    const defaultLimit = 100;
-    filters.limit = filters.limit || defaultLimit;
-
-    const query = {};
-    let sortOrder = { _id: -1 };
-    let shouldReverse = true;
-
-    if (searchTerms.length > 0) {
-      const quotedTerms = searchTerms.map(term => `"${term}"`);
-      query.$text = { $search: quotedTerms.join(' ') };
-    }
-
-    // Apply hostname filter
-    if (filters.hostnames && filters.hostnames.length > 0) {
-      query.hostname = { $in: filters.hostnames };
+  async spillOrDropLogs (logs) {
+    if (logs.length === 0) {
+      return;
     }
-
-    // Apply level_json and errsole_id filters
-    if (filters.level_json || filters.errsole_id) {
-      const orConditions = [];
-      if (filters.level_json && filters.level_json.length > 0) {
-        const levelConditions = filters.level_json.map(levelObj => ({
-          source: levelObj.source,
-          level: levelObj.level
-        }));
-        orConditions.push(...levelConditions);
-      }
-      if (filters.errsole_id) {
-        orConditions.push({ errsole_id: Number(filters.errsole_id) });
-      }
-      if (orConditions.length > 0) {
-        query.$or = orConditions;
+    if (this.spillFilePath) {
+      try {
+        await this.spillLogs(logs);
+        return;
+      } catch (err) {
+        console.error(err);
       }
     }
+    this.droppedLogsCount += logs.length;
+  }
 
-    // Apply id filters
-    if (filters.lt_id) {
-      query._id = { $lt: new ObjectId(filters.lt_id) };
-      sortOrder = { _id: -1 };
-      shouldReverse = true;
-    }
-    if (filters.gt_id) {
-      query._id = { $gt: new ObjectId(filters.gt_id) };
-      sortOrder = { _id: 1 };
-      shouldReverse = false;
+  /**
+   * Grows the batch size when a flush finds a full batch waiting and shrinks it when the flush finds little to write,
+   * keeping it between the configured minimum and maximum batch sizes.
+   *
+   * @param {number} flushedCount - The number of log entries taken by the current flush.
+   */
+  adaptBatchSize (flushedCount) {
+    if (flushedCount >= this.batchSize) {
+      this.batchSize = Math.min(this.maxBatchSize, this.batchSize * 2);
+    } else if (flushedCount < this.batchSize / 4) {
+      this.batchSize = Math.max(this.minBatchSize, Math.floor(this.batchSize / 2));
     }
+  }
 
-    // Apply timestamp filters
-    if (filters.lte_timestamp || filters.gte_timestamp) {
-      query.timestamp = {};
-      if (filters.lte_timestamp) {
-        filters.lte_timestamp = new Date(filters.lte_timestamp);
-        query.timestamp.$lte = filters.lte_timestamp.toISOString();
-        sortOrder = { timestamp: -1, _id: -1 };
-        shouldReverse = true;
-      }
-      if (filters.gte_timestamp) {
-        filters.gte_timestamp = new Date(filters.gte_timestamp);
-        query.timestamp.$gte = filters.gte_timestamp.toISOString();
-        sortOrder = { timestamp: 1, _id: 1 };
-        shouldReverse = false;
+  /**
+   * Adds the fields the logs collection derives from each log entry before it is inserted.
+   *
+   * @param {Log[]} logs - The log entries to be inserted.
+   */
+  prepareLogs (logs) {
+    logs.forEach(log => {
+      // The meta is stored as given, so that getMeta, exports and archives return the original string.
+      if (log.meta !== undefined && log.meta !== null && typeof log.meta !== 'string') {
+        log.meta = JSON.stringify(log.meta);
       }
-      if (filters.lte_timestamp && !filters.gte_timestamp) {
-        const gteTimestamp = new Date(filters.lte_timestamp.getTime() - 24 * 60 * 60 * 1000);
-        query.timestamp.$gte = gteTimestamp.toISOString();
-        filters.gte_timestamp = gteTimestamp;
+      delete log.meta_fields;
+      const metaFields = typeof log.meta === 'string' ? parseLogMeta(log.meta) : undefined;
+      if (metaFields) {
+        log.meta_fields = metaFields;
       }
-      if (filters.gte_timestamp && !filters.lte_timestamp) {
-        const lteTimestamp = new Date(filters.gte_timestamp.getTime() + 24 * 60 * 60 * 1000);
-        query.timestamp.$lte = lteTimestamp.toISOString();
-        filters.lte_timestamp = lteTimestamp;
+      if (!log.fingerprint && this.issueLevels.includes(log.level)) {
+        log.fingerprint = getLogFingerprint(log);
       }
-    }
-
-    const documents = await this.db.collection(this.logsCollectionName)
-      .find(query, { projection: { meta: 0 } })
-      .sort(sortOrder)
-      .limit(filters.limit)
-      .toArray();
-
-    if (shouldReverse) {
-      documents.reverse();
-    }
-
-    const formattedDocuments = documents.map(doc => {
-      const { _id, ...rest } = doc;
-      return { id: _id.toString(), ...rest };
+      // Restored log entries are left out of the TTL index, which only removes the log entries marked as expiring.
+      const expires = !log.restored_at;
+      log.metadata = this.isTimeSeriesLogsCollection ? { hostname: log.hostname, source: log.source, level: log.level, expires } : { expires };
     });
-
-    return { items: formattedDocuments };
   }
 
   /**
-   * Retrieves the meta data of a log entry.
+   * Inserts log entries without stopping at the first failure and reports the entries that were not inserted.
+   * Entries rejected as duplicates are already stored, so they are reported neither as inserted nor as failed.
    *
    * @async
-   * @function getMeta
-   * @param {string} id - The ID of the log entry.
-   * @returns {Promise<{item: id, meta}>}- A promise that resolves with an object containing the meta data of the log entry.
-   * @throws {Error} - Throws an error if the log entry is not found or the operation fails.
+   * @function insertLogs
+   * @param {Log[]} logs - The log entries to insert.
+   * @returns {Promise<{insertedLogs: Log[], failedLogs: Log[], error?: Error}>} - A Promise that resolves with the inserted entries, the entries that failed to insert and the insert error.
    */
-  async getMeta (id) {
-    const objectId = new ObjectId(id);
-    const result = await this.db.collection(this.logsCollectionName).findOne({ _id: objectId }, { projection: { meta: 1 } });
-
-    if (!result) {
-      throw new Error('Log entry not found.');
+  async insertLogs (logs) {
+    this.prepareLogs(logs);
+    try {
+      await this.db.collection(this.logsCollectionName).insertMany(logs, { ordered: false });
+      return { insertedLogs: logs, failedLogs: [] };
+    } catch (err) {
+      const writeErrors = [].concat(err.writeErrors || []);
+      if (writeErrors.length === 0) {
+        return err.code === 11000 ? { insertedLogs: [], failedLogs: [] } : { insertedLogs: [], failedLogs: logs, error: err };
+      }
+      const rejectedIndexes = new Set(writeErrors.map(writeError => writeError.index));
+      const insertedLogs = logs.filter((log, index) => !rejectedIndexes.has(index));
+      const failedLogs = writeErrors
+        .filter(writeError => writeError.code !== 11000)
+        .map(writeError => logs[writeError.index]);
+      return failedLogs.length > 0 ? { insertedLogs, failedLogs, error: err } : { insertedLogs, failedLogs };
     }
-
-    return { item: { id: result._id, meta: result.meta } };
   }
 
   /**
-   * Ensures that the Time To Live (TTL) configuration for logs is set.
+   * Appends log entries that could not be inserted to the spill file, so they can be replayed once the database is reachable again.
    *
    * @async
-   * @function ensureLogsTTL
-   * @returns {Promise<{}>} - A promise that resolves with an empty object once the TTL configuration is confirmed or updated.
+   * @function spillLogs
+   * @param {Log[]} logs - The log entries to append to the spill file.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object.
+   * @throws {Error} - Throws an error if the spill file size limit is reached or the file cannot be written.
    */
-  async ensureLogsTTL () {
-    const DEFAULT_TTL = 2592000000; // 30 days in milliseconds
-    try {
-      let result = await this.getConfig('logsTTL');
-      if (!result.item) {
-        result = await this.setConfig('logsTTL', DEFAULT_TTL.toString());
+  async spillLogs (logs) {
+    return this.withSpillLock(async () => {
+      const data = logs.map(log => JSON.stringify(log) + '\n').join('');
+      const { size } = await fs.promises.stat(this.spillFilePath).catch(() => ({ size: 0 }));
+      if (size + Buffer.byteLength(data) > this.spillMaxBytes) {
+        throw new Error(`Spill file size limit reached. ${logs.length} log entries were dropped.`);
       }
-      await this.updateLogsCollectionTTL(result.item.value);
-      await this.updateNotificationsCollectionTTL(result.item.value);
-    } catch (err) {
-      console.error(err);
-    }
-    return {};
+      await fs.promises.mkdir(path.dirname(this.spillFilePath), { recursive: true });
+      await fs.promises.appendFile(this.spillFilePath, data);
+      this.hasSpilledLogs = true;
+      return {};
+    });
   }
 
   /**
-   * Updates the TTL index for the logs collection in the database.
+   * Replays spilled log entries into the database in the order they were spilled, starting with the spill files
+   * left behind by processes on the same host that are no longer running.
+   * Entries that could not be replayed are kept in their spill file for the next attempt.
    *
    * @async
-   * @function updateLogsCollectionTTL
-   * @param {number} logsTTL - The TTL value (in milliseconds) to set for logs expiration.
-   * @returns {Promise<void>} - A promise that resolves with an empty object when the logs collection TTL is successfully updated.
-   * @throws {Error} - Throws an error if updating the TTL index fails.
+   * @function replaySpilledLogs
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object once the spill files are drained.
+   * @throws {Error} - Throws an error if the entries cannot be inserted into the database.
    */
-  async updateLogsCollectionTTL (logsTTL) {
-    const ttlInSeconds = parseInt(logsTTL) / 1000;
-    const indexes = await this.db.collection(this.logsCollectionName).indexes();
-    const ttlIndex = indexes.find(index => index.expireAfterSeconds && Object.keys(index.key).includes('timestamp'));
-    if (!ttlIndex || ttlIndex.expireAfterSeconds !== ttlInSeconds) {
-      if (ttlIndex) {
-        await this.db.collection(this.logsCollectionName).dropIndex(ttlIndex.name);
-      }
-      await this.db.collection(this.logsCollectionName).createIndex({ timestamp: 1 }, { expireAfterSeconds: ttlInSeconds });
+  async replaySpilledLogs () {
+    if (!this.hasSpilledLogs) {
+      return {};
     }
-    return {};
+    return this.withSpillLock(async () => {
+      const claimedFilePaths = await this.claimOrphanedSpillFiles();
+      for (const filePath of [...claimedFilePaths, this.spillFilePath]) {
+        await this.replaySpillFile(filePath);
+      }
+      this.hasSpilledLogs = false;
+      return {};
+    });
   }
 
   /**
-   * Inserts a notification, counts today's notifications, and retrieves the previous notification.
-   * @param {Notification} notification - The notification to be inserted.
-   * @returns {Promise<Object>} - Returns today's notification count and the previous notification.
+   * Takes over the spill files of processes on the same host that are no longer running, including those they had taken over.
+   * Each file is renamed into a name owned by this process, so that only one process replays it.
+   *
+   * @async
+   * @function claimOrphanedSpillFiles
+   * @returns {Promise<string[]>} - A Promise that resolves with the paths of the spill files owned by this process, other than its own spill file.
    */
-  async insertNotificationItem (notification = {}) {
-    const errsoleId = notification.errsole_id;
-    const hostname = notification.hostname;
-    const hashedMessage = notification.hashed_message;
-
-    const session = this.db.client.startSession();
-
-    try {
-      const transactionOptions = {
-        readPreference: 'primary',
-        readConcern: { level: 'snapshot' },
-        writeConcern: { w: 'majority' }
-      };
-
-      let result;
-      await session.withTransaction(async () => {
-        const notificationsCollection = this.db.collection(this.notificationsCollectionName);
-
-        const previousNotificationItem = await notificationsCollection.findOne(
-          { hostname, hashed_message: hashedMessage },
-          { sort: { created_at: -1 }, session }
-        );
-
-        const timestamp = new Date();
-        await notificationsCollection.insertOne(
-          {
-            errsole_id: errsoleId,
-            hostname,
-            hashed_message: hashedMessage,
-            created_at: timestamp,
-            updated_at: timestamp
-          },
-          { session }
-        );
-
-        const startOfDayUTC = new Date();
-        startOfDayUTC.setUTCHours(0, 0, 0, 0);
-        const endOfDayUTC = new Date();
-        endOfDayUTC.setUTCHours(23, 59, 59, 999);
-        const todayNotificationCount = await notificationsCollection.countDocuments(
-          {
-            hostname,
-            hashed_message: hashedMessage,
-            created_at: { $gte: startOfDayUTC, $lte: endOfDayUTC }
-          },
-          { session }
-        );
-
-        let formattedPreviousNotification;
-        if (previousNotificationItem) {
-          const { _id, ...rest } = previousNotificationItem;
-          formattedPreviousNotification = { id: _id.toString(), ...rest };
+  async claimOrphanedSpillFiles () {
+    const fileNames = await fs.promises.readdir(this.spillDirectory).catch(err => {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    });
+    const spillFilePattern = new RegExp(`^${escapeRegExp(`${this.logsCollectionName}.${os.hostname()}.`)}(\\d+)(\\.[0-9a-f]+)?\\.spill\\.ndjson$`);
+    const ownFileName = path.basename(this.spillFilePath);
+    const claimedFilePaths = [];
+    for (const fileName of fileNames.sort()) {
+      const match = spillFilePattern.exec(fileName);
+      if (!match || fileName === ownFileName) {
+        continue;
+      }
+      const filePath = path.join(this.spillDirectory, fileName);
+      const ownerPid = Number(match[1]);
+      if (ownerPid === process.pid) {
+        claimedFilePaths.push(filePath);
+      } else if (!isProcessRunning(ownerPid)) {
+        const claimedFilePath = this.spillFilePath.replace(/\.spill\.ndjson$/, `.${crypto.randomBytes(4).toString('hex')}.spill.ndjson`);
+        try {
+          await fs.promises.rename(filePath, claimedFilePath);
+          claimedFilePaths.push(claimedFilePath);
+        } catch (err) {
+          // Another process claimed the file first.
+          if (err.code !== 'ENOENT') throw err;
         }
-
-        result = {
-          previousNotificationItem: formattedPreviousNotification,
-          todayNotificationCount
-        };
-      }, transactionOptions);
-
-      return result;
-    } finally {
-      await session.endSession();
+      }
     }
+    return claimedFilePaths;
   }
 
   /**
-   * Updates the TTL index for the notifications collection in the database.
+   * Replays the log entries of a spill file and removes it, or keeps the entries that could not be replayed in it.
    *
    * @async
-   * @function updateNotificationsCollectionTTL
-   * @param {number} notificationsTTL - The TTL value (in milliseconds) to set for notifications expiration.
-   * @returns {Promise<void>} - A promise that resolves with an empty object when the notifications collection TTL is successfully updated.
-   * @throws {Error} - Throws an error if updating the TTL index fails.
+   * @function replaySpillFile
+   * @param {string} filePath - The path of the spill file.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object once the spill file is drained.
+   * @throws {Error} - Throws an error if the entries cannot be inserted into the database.
    */
-  async updateNotificationsCollectionTTL (notificationsTTL) {
-    const ttlInSeconds = parseInt(notificationsTTL) / 1000;
-    const indexes = await this.db.collection(this.notificationsCollectionName).indexes();
-    const ttlIndex = indexes.find(index => index.expireAfterSeconds && Object.keys(index.key).includes('created_at'));
-    if (!ttlIndex || ttlIndex.expireAfterSeconds !== ttlInSeconds) {
-      if (ttlIndex) {
-        await this.db.collection(this.notificationsCollectionName).dropIndex(ttlIndex.name);
+  async replaySpillFile (filePath) {
+    let content = '';
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const lines = content.split('\n').filter(Boolean);
+    let replayedCount = 0;
+    try {
+      while (replayedCount < lines.length) {
+        const chunk = lines.slice(replayedCount, replayedCount + this.batchSize);
+        const logs = chunk.map(parseLogLine).filter(Boolean);
+        if (logs.length > 0) {
+          const { insertedLogs, error } = await this.insertLogs(logs);
+          await this.updateIssues(insertedLogs).catch(err => this.emitError(err));
+          if (error) throw error;
+        }
+        replayedCount += chunk.length;
       }
-      await this.db.collection(this.notificationsCollectionName).createIndex({ created_at: 1 }, { expireAfterSeconds: ttlInSeconds });
+    } catch (err) {
+      await fs.promises.writeFile(filePath, lines.slice(replayedCount).map(line => line + '\n').join(''));
+      throw err;
     }
+
+    await fs.promises.rm(filePath, { force: true });
     return {};
   }
 
   /**
-   * Creates a new user record in the database.
+   * Runs the given function once all previously queued spill file operations have settled.
+   *
+   * @param {Function} fn - The function to run.
+   * @returns {Promise<*>} - A Promise that resolves with the result of the function.
+   */
+  withSpillLock (fn) {
+    const result = this.spillLock.then(fn);
+    this.spillLock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Retrieves unique hostnames from the database.
    *
    * @async
-   * @function createUser
-   * @param {Object} user - The user data.
-   * @param {string} user.name - The name of the user.
-   * @param {string} user.email - The email address of the user.
-   * @param {string} user.password - The password of the user.
-   * @param {string} user.role - The role of the user.
-   * @returns {Promise<{item: User}>} - A promise that resolves with an object containing the new user item.
-   * @throws {Error} - Throws an error if the user creation fails due to duplicate email or other database issues.
+   * @function getHostnames
+   * @returns {Promise<{items: string[]}>} - A Promise that resolves with an object containing an array of unique hostnames.
+   * @throws {Error} - Throws an error if the operation fails.
    */
-  async createUser (user) {
+  async getHostnames () {
     try {
-      const hashedPassword = await bcrypt.hash(user.password, saltRounds);
-      const userData = {
-        ...user,
-        hashed_password: hashedPassword
+      const query = {
+        hostname: { $nin: [null, ''] }
       };
-      delete userData.password;
 
-      const result = await this.db.collection(this.usersCollectionName).insertOne(userData);
-      if (!result.insertedId) {
-        throw new Error('Failed to insert the user record into the database.');
-      }
+      const hostnames = await this.db.collection(this.logsCollectionName).distinct('hostname', query);
 
-      const newUser = await this.db.collection(this.usersCollectionName).findOne({ _id: result.insertedId }, { projection: { hashed_password: 0 } });
-      const { _id, ...rest } = newUser;
-      return { item: { id: _id.toString(), ...rest } };
+      const filteredHostnames = hostnames.filter(Boolean).sort();
+      return { items: filteredHostnames };
     } catch (err) {
-      if (err.code === 11000) {
-        throw new Error('A user with the provided email already exists.');
-      }
-      throw err;
+      return err;
     }
   }
 
   /**
-   * Verifies a user's credentials against stored records.
+   * Retrieves log entries from the database based on specified filters.
    *
    * @async
-   * @function verifyUser
-   * @param {string} email - The email address of the user.
-   * @param {string} password - The password of the user
-   * @returns {Promise<{item: User}>} - A promise that resolves with an object containing the user item upon successful verification.
-   * @throws {Error} - Throws an error if the operation fails.
+   * @function getLogs
+   * @param {LogFilter} [filters] - Filters to apply for log retrieval. A cursor from an earlier result replaces the other filters, except the limit.
+   * @returns {Promise<{items: Log[], nextCursor: string|null, prevCursor: string|null, total?: number, isTotalEstimated?: boolean, facets?: Object}>} - A Promise that resolves
+   * with an object containing log items, the cursors of the pages of older and newer entries, and the counts requested with withCounts and facets.
+   * @throws {Error} - Throws an error if the cursor is invalid or the operation fails.
    */
-  async verifyUser (email, password) {
-    if (!email || !password) {
-      throw new Error('Email and password must be provided.');
+  async getLogs (filters = {}) {
+    const cursor = filters.cursor ? decodeLogsCursor(filters.cursor, 'getLogs') : undefined;
+    if (cursor) {
+      filters = { ...cursor.filters, limit: filters.limit || cursor.filters.limit };
     }
+    const defaultLimit = 100;
+    filters.limit = filters.limit || defaultLimit;
 
-    const user = await this.db.collection(this.usersCollectionName).findOne({ email });
-    if (!user) {
-      throw new Error('User not found.');
-    }
+    const query = buildLogsFilterQuery(filters);
+    let sortOrder = { _id: -1 };
+    let shouldReverse = true;
 
-    const isPasswordCorrect = await bcrypt.compare(password, user.hashed_password);
-    if (!isPasswordCorrect) {
-      throw new Error('Incorrect password.');
+    // Apply id filters
+    if (filters.lt_id) {
+      query._id = { $lt: new ObjectId(filters.lt_id) };
+      sortOrder = { _id: -1 };
+      shouldReverse = true;
+    }
+    if (filters.gt_id) {
+      query._id = { $gt: new ObjectId(filters.gt_id) };
+      sortOrder = { _id: 1 };
+      shouldReverse = false;
     }
 
-    const returnUser = { ...user, id: user._id.toString() };
-    delete returnUser._id;
-    delete returnUser.hashed_password;
+    // Timestamp filters sort by timestamp, from the given end of the range
+    if (filters.lte_timestamp) {
+      sortOrder = { timestamp: -1, _id: -1 };
+      shouldReverse = true;
+    }
+    if (filters.gte_timestamp) {
+      sortOrder = { timestamp: 1, _id: 1 };
+      shouldReverse = false;
+    }
 
-    return { item: returnUser };
+    return this.findLogsPage('getLogs', query, sortOrder, shouldReverse, filters, cursor);
   }
 
   /**
-   * Retrieves the total count of users from the database.
+   * Retrieves log entries from the database based on specified search terms and filters.
+   * The search terms are either an array of phrases that the messages must contain, or a structured query string
+   * such as 'level:error host:api-* -message:"healthcheck"' (see parseSearchQuery for the syntax).
    *
    * @async
-   * @function getUserCount
-   * @returns {Promise<{count: number}>} - A promise that resolves with an object containing the count of users.
-   * @throws {Error} - Throws an error if the operation fails.
+   * @function searchLogs
+   * @param {string[]|string} searchTerms - An array of search terms or a structured search query.
+   * @param {LogFilter} [filters] - Filters to refine the search. A cursor from an earlier result replaces the search terms and the other filters, except the limit.
+   * @returns {Promise<{items: Log[], nextCursor: string|null, prevCursor: string|null, filters: LogFilter, total?: number, isTotalEstimated?: boolean, facets?: Object}>} - A promise that
+   * resolves with an object containing an array of log items, the cursors of the pages of older and newer entries, the effective filters, including
+   * the time range limited by the search window, and the counts requested with withCounts and facets.
+   * @throws {Error} - Throws an error if the search query is malformed, the cursor is invalid or the operation fails.
    */
-  async getUserCount () {
-    const count = await this.db.collection(this.usersCollectionName).countDocuments({});
-    return { count };
+  async searchLogs (searchTerms, filters = {}) {
+    const cursor = filters.cursor ? decodeLogsCursor(filters.cursor, 'searchLogs') : undefined;
+    if (cursor) {
+      ({ searchTerms, ...filters } = { ...cursor.filters, limit: filters.limit || cursor.filters.limit });
+    }
+    const defaultLimit = 100;
+    filters.limit = filters.limit || defaultLimit;
+
+    const query = {};
+    let sortOrder = { _id: -1 };
+    let shouldReverse = true;
+
+    if (typeof searchTerms === 'string') {
+      // Time-series collections have no text index, so their message terms are matched with regular expressions.
+      const { text, filter } = parseSearchQuery(searchTerms, { textSearch: !this.isTimeSeriesLogsCollection });
+      if (text) {
+        query.$text = { $search: text };
+      }
+      if (filter) {
+        query.$and = [filter];
+      }
+    } else if (searchTerms.length > 0 && this.isTimeSeriesLogsCollection) {
+      query.$and = searchTerms.map(term => ({ message: { $regex: escapeRegExp(term), $options: 'i' } }));
+    } else if (searchTerms.length > 0) {
+      const quotedTerms = searchTerms.map(term => `"${term}"`);
+      query.$text = { $search: quotedTerms.join(' ') };
+    }
+
+    // Apply id filters
+    if (filters.lt_id) {
+      query._id = { $lt: new ObjectId(filters.lt_id) };
+      sortOrder = { _id: -1 };
+      shouldReverse = true;
+    }
+    if (filters.gt_id) {
+      query._id = { $gt: new ObjectId(filters.gt_id) };
+      sortOrder = { _id: 1 };
+      shouldReverse = false;
+    }
+
+    // Timestamp filters sort by timestamp, from the given end of the range
+    if (filters.lte_timestamp) {
+      filters.lte_timestamp = new Date(filters.lte_timestamp);
+      sortOrder = { timestamp: -1, _id: -1 };
+      shouldReverse = true;
+    }
+    if (filters.gte_timestamp) {
+      filters.gte_timestamp = new Date(filters.gte_timestamp);
+      sortOrder = { timestamp: 1, _id: 1 };
+      shouldReverse = false;
+    }
+    // One-sided ranges are limited to the search window, unless it is disabled.
+    if (this.searchWindow && filters.lte_timestamp && !filters.gte_timestamp) {
+      filters.gte_timestamp = new Date(filters.lte_timestamp.getTime() - this.searchWindow);
+    }
+    if (this.searchWindow && filters.gte_timestamp && !filters.lte_timestamp) {
+      filters.lte_timestamp = new Date(filters.gte_timestamp.getTime() + this.searchWindow);
+    }
+
+    Object.assign(query, buildLogsFilterQuery(filters));
+
+    const page = await this.findLogsPage('searchLogs', query, sortOrder, shouldReverse, { ...filters, searchTerms }, cursor);
+    return { ...page, filters };
   }
 
   /**
-   * Retrieves all user records from the database.
+   * Finds a page of log entries and builds the cursors of the pages of older and newer entries.
+   * A cursor continues with the sort fields of the page it was built from, so that pages neither skip
+   * nor repeat entries that share a timestamp.
    *
    * @async
-   * @function getAllUsers
-   * @returns {Promise<{items: User[]}>} - A promise that resolves with an object containing an array of user items.
-   * @throws {Error} - Throws an error if the operation fails.
+   * @function findLogsPage
+   * @param {string} method - The name of the method that accepts the cursors.
+   * @param {Object} query - The query of the page.
+   * @param {Object} sortOrder - The sort order of the page when no cursor is given.
+   * @param {boolean} shouldReverse - Whether the page is read from the newest entry when no cursor is given.
+   * @param {Object} filters - The filters to encode in the cursors, including the limit.
+   * @param {Object} [cursor] - The decoded cursor to continue from.
+   * @returns {Promise<{items: Log[], nextCursor: string|null, prevCursor: string|null, total?: number, isTotalEstimated?: boolean, facets?: Object}>} - A Promise that resolves
+   * with the log items, oldest first, the cursors of the pages of older (next) and newer (previous) entries, or null when there are none,
+   * and the counts of all the matching entries when the filters ask for them.
    */
-  async getAllUsers () {
-    const users = await this.db.collection(this.usersCollectionName).find({}, { projection: { hashed_password: 0 } }).toArray();
-    const formattedUsers = users.map(user => {
-      const { _id, ...rest } = user;
+  async findLogsPage (method, query, sortOrder, shouldReverse, filters, cursor) {
+    // The counts cover all the matching entries, so they leave out the id filters that only position the page, as cursors do.
+    const { _id: idCondition, ...filtersQuery } = query;
+    const countQuery = filters.lt_id || filters.gt_id ? filtersQuery : query;
+    const counts = filters.withCounts || filters.facets ? await this.countLogs(countQuery, filters.facets) : {};
+
+    let sortFields = Object.keys(sortOrder);
+    let isOlderPage = shouldReverse;
+    let pageQuery = query;
+    if (cursor) {
+      sortFields = cursor.sort;
+      isOlderPage = cursor.direction === 'older';
+      pageQuery = { ...query, $and: [...(query.$and || []), getKeysetCondition(sortFields, cursor.values, isOlderPage ? '$lt' : '$gt')] };
+    }
+
+    const direction = isOlderPage ? -1 : 1;
+    const documents = await this.db.collection(this.logsCollectionName)
+      .find(pageQuery, { projection: this.getLogsProjection() })
+      .sort(Object.fromEntries(sortFields.map(field => [field, direction])))
+      .limit(filters.limit)
+      .toArray();
+
+    if (isOlderPage) {
+      documents.reverse();
+    }
+
+    const formattedDocuments = documents.map(doc => {
+      const { _id, ...rest } = doc;
       return { id: _id.toString(), ...rest };
     });
-    return { items: formattedUsers };
+
+    // The id filters are replaced by the position of the cursor, and a partial page means there are no more entries in its direction.
+    const { cursor: previousCursor, lt_id: ltId, gt_id: gtId, ...cursorFilters } = filters;
+    const buildCursor = (pageDirection, doc) => encodeLogsCursor({ method, direction: pageDirection, sort: sortFields, values: sortFields.map(field => doc[field]), filters: cursorFilters });
+    const isFullPage = documents.length >= filters.limit;
+    const oldestDocument = documents[0];
+    const newestDocument = documents[documents.length - 1];
+    return {
+      items: formattedDocuments,
+      nextCursor: oldestDocument && (isFullPage || !isOlderPage) ? buildCursor('older', oldestDocument) : null,
+      prevCursor: newestDocument && (isFullPage || isOlderPage) ? buildCursor('newer', newestDocument) : null,
+      ...counts
+    };
   }
 
   /**
-   * Retrieves a user record from the database based on the provided email.
+   * Counts the log entries matching a query, in total and per value of the facet fields, in a single $facet aggregation.
+   * At most countLimit entries are counted, so the counts of larger results are lower bounds. Without a query or facets,
+   * the total is estimated from the collection metadata.
    *
    * @async
-   * @function getUserByEmail
-   * @param {string} email - The email address of the user.
-   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the user item.
-   * @throws {Error} - Throws an error if no user matches the email address.
+   * @function countLogs
+   * @param {Object} query - The query of the log entries to count.
+   * @param {string[]} [facetFields=[]] - The fields to count the entries by: 'hostname', 'source' and/or 'level'.
+   * @returns {Promise<{total: number, isTotalEstimated: boolean, facets?: Object<string, Object<string, number>>}>} - A Promise that resolves with the total,
+   * whether it is an estimate or a lower bound, and the counts per value of each facet field.
+   * @throws {Error} - Throws an error if a facet field is not supported or the operation fails.
    */
-  async getUserByEmail (email) {
-    const user = await this.db.collection(this.usersCollectionName).findOne({ email }, { projection: { hashed_password: 0 } });
+  async countLogs (query, facetFields = []) {
+    const invalidField = facetFields.find(field => !['hostname', 'source', 'level'].includes(field));
+    if (invalidField) {
+      throw new Error(`Cannot count logs by ${invalidField}.`);
+    }
+    const collection = this.db.collection(this.logsCollectionName);
+    if (facetFields.length === 0 && Object.keys(query).length === 0) {
+      return { total: await collection.estimatedDocumentCount(), isTotalEstimated: true };
+    }
 
-    if (!user) {
-      throw new Error('User not found.');
+    const facetStages = { total: [{ $count: 'count' }] };
+    facetFields.forEach(field => {
+      facetStages[field] = [{ $group: { _id: `$${field}`, count: { $sum: 1 } } }];
+    });
+    const [result] = await collection.aggregate([
+      { $match: query },
+      ...(this.countLimit ? [{ $limit: this.countLimit }] : []),
+      { $facet: facetStages }
+    ]).toArray();
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    const counts = { total, isTotalEstimated: !!this.countLimit && total >= this.countLimit };
+    if (facetFields.length > 0) {
+      counts.facets = Object.fromEntries(facetFields.map(field => [
+        field,
+        Object.fromEntries(result[field].map(({ _id, count }) => [_id, count]))
+      ]));
     }
+    return counts;
+  }
 
-    const { _id, ...userWithoutId } = user;
-    return { item: { id: _id.toString(), ...userWithoutId } };
+  /**
+   * Follows the log entries inserted from now on, or after a resume token, that match the hostnames, level_json, errsole_id and meta filters.
+   * Uses a change stream on replica sets and sharded clusters, and polls for new entries on standalone servers and time-series collections.
+   *
+   * @function tailLogs
+   * @param {LogFilter} [filters] - Filters to apply to the new log entries.
+   * @param {Object} [options]
+   * @param {Object} [options.resumeAfter] - The resumeToken of an earlier tail, to continue after the last entry it emitted.
+   * @param {number} [options.pollInterval=1000] - The interval between polls when change streams are not available, in milliseconds.
+   * @returns {LogTail} - An EventEmitter that emits a 'log' event for each new entry, a 'reconnecting' event before retrying after a failure and a 'close' event,
+   * and that is also an async iterator of the new entries. Its resumeToken property is the token of the last emitted entry.
+   */
+  tailLogs (filters = {}, { resumeAfter, pollInterval = 1000 } = {}) {
+    const tail = new LogTail(this.db, this.logsCollectionName, buildLogsFilterQuery(filters), {
+      resumeAfter,
+      pollInterval,
+      retryDelay: this.connectRetryDelay,
+      retryMaxDelay: this.connectRetryMaxDelay
+    });
+    this.logTails.add(tail);
+    tail.once('close', () => this.logTails.delete(tail));
+
+    this.connectionPromise
+      .then(async () => {
+        tail.projection = this.getLogsProjection();
+        // Change streams need a replica set or a sharded cluster, and do not support time-series collections.
+        const hello = await this.db.command({ hello: 1 });
+        const isPollingToken = !!(resumeAfter && resumeAfter.lastId);
+        tail.start(!this.isTimeSeriesLogsCollection && !isPollingToken && !!(hello.setName || hello.msg === 'isdbgrid'));
+      })
+      .catch(err => tail.fail(err));
+    return tail;
   }
 
   /**
-   * Updates a user's record in the database based on the provided email.
+   * Exports log entries matching the filters as a stream, oldest first, reading them from a database cursor.
+   *
+   * @function exportLogs
+   * @param {LogFilter} [filters] - The hostnames, level_json, errsole_id, fingerprint, meta and timestamp filters to apply, and an optional limit.
+   * @param {Object} [options]
+   * @param {string} [options.format='ndjson'] - The output format: 'ndjson', 'csv' or 'json'.
+   * @param {boolean} [options.includeMeta=false] - Whether to include the meta data of the log entries.
+   * @param {string[]} [options.columns] - The columns of the CSV output.
+   * @returns {Readable} - A readable stream of the exported log entries.
+   * @throws {Error} - Throws an error if the format is not supported.
+   */
+  exportLogs (filters = {}, { format = 'ndjson', includeMeta = false, columns } = {}) {
+    if (!['ndjson', 'csv', 'json'].includes(format)) {
+      throw new Error(`Unsupported export format: ${format}.`);
+    }
+    const csvColumns = columns || [...defaultExportColumns, ...(includeMeta ? ['meta'] : [])];
+    const projection = includeMeta ? { meta_fields: 0, metadata: 0 } : { meta: 0, meta_fields: 0, metadata: 0 };
+    const collection = this.db.collection(this.logsCollectionName);
+
+    async function * generateLines () {
+      const cursor = collection.find(buildLogsFilterQuery(filters), { projection }).sort({ timestamp: 1, _id: 1 });
+      if (filters.limit) {
+        cursor.limit(filters.limit);
+      }
+      try {
+        if (format === 'csv') {
+          yield csvColumns.map(formatCsvValue).join(',') + '\n';
+        } else if (format === 'json') {
+          yield '[';
+        }
+        let isFirst = true;
+        let doc;
+        while ((doc = await cursor.next()) !== null) {
+          const { _id, ...rest } = doc;
+          const log = { id: _id.toString(), ...rest };
+          if (format === 'csv') {
+            yield csvColumns.map(column => formatCsvValue(log[column])).join(',') + '\n';
+          } else if (format === 'json') {
+            yield (isFirst ? '' : ',') + JSON.stringify(log);
+          } else {
+            yield JSON.stringify(log) + '\n';
+          }
+          isFirst = false;
+        }
+        if (format === 'json') {
+          yield ']';
+        }
+      } finally {
+        await cursor.close();
+      }
+    }
+
+    return Readable.from(generateLines());
+  }
+
+  /**
+   * Imports log entries from a stream of NDJSON, or of CSV with a header row as produced by exportLogs, in batches.
+   * Entries are validated against the Log shape; ids that are valid ObjectIds are kept, so re-importing an export skips the existing entries.
    *
    * @async
-   * @function updateUserByEmail
-   * @param {string} email - The email address of the user to be updated.
-   * @param {Object} updates - The updates to be applied to the user record.
-   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the updated user item.
-   * @throws {Error} - Throws an error if no updates could be applied or the user is not found.
+   * @function importLogs
+   * @param {Readable} stream - The stream to read the log entries from.
+   * @param {Object} [options]
+   * @param {string} [options.format='ndjson'] - The input format: 'ndjson' or 'csv'.
+   * @param {boolean} [options.preserveTimestamps=true] - Whether to keep the timestamps of the entries instead of using the import time.
+   * @param {boolean} [options.dedupe=false] - Whether to skip entries identical to a stored entry or to an earlier entry of the same batch.
+   * @returns {Promise<{insertedCount: number, skippedCount: number, invalidCount: number}>} - A promise that resolves with the number of inserted, skipped and invalid entries.
+   * @throws {Error} - Throws an error if the format is not supported or the operation fails.
    */
-  async updateUserByEmail (email, updates) {
-    delete updates.hashed_password;
-    const result = await this.db.collection(this.usersCollectionName).updateOne({ email }, { $set: updates });
-    if (result.modifiedCount === 0) {
-      throw new Error('No updates applied. User record not found or provided updates are identical to existing data.');
+  async importLogs (stream, { format = 'ndjson', preserveTimestamps = true, dedupe = false } = {}) {
+    if (!['ndjson', 'csv'].includes(format)) {
+      throw new Error(`Unsupported import format: ${format}.`);
+    }
+    const collection = this.db.collection(this.logsCollectionName);
+    let insertedCount = 0;
+    let skippedCount = 0;
+    let invalidCount = 0;
+
+    const importBatch = async batch => {
+      if (dedupe) {
+        const uniqueLogs = await this.findNewLogs(batch);
+        skippedCount += batch.length - uniqueLogs.length;
+        batch = uniqueLogs;
+      }
+      if (batch.length === 0) {
+        return;
+      }
+      this.prepareLogs(batch);
+      let insertedLogs = batch;
+      try {
+        await collection.insertMany(batch, { ordered: false });
+      } catch (err) {
+        const writeErrors = [].concat(err.writeErrors || []);
+        if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+          throw err;
+        }
+        const duplicateIndexes = new Set(writeErrors.map(writeError => writeError.index));
+        insertedLogs = batch.filter((log, index) => !duplicateIndexes.has(index));
+        skippedCount += writeErrors.length;
+      }
+      insertedCount += insertedLogs.length;
+      await this.updateIssues(insertedLogs).catch(err => this.emitError(err));
+    };
+
+    const entries = format === 'csv' ? readCsvEntries(stream) : readNdjsonEntries(stream);
+    let batch = [];
+    for await (const entry of entries) {
+      const log = normalizeImportedLog(entry, preserveTimestamps);
+      if (!log) {
+        invalidCount++;
+        continue;
+      }
+      batch.push(log);
+      if (batch.length >= this.batchSize) {
+        await importBatch(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await importBatch(batch);
     }
-    const updatedUser = await this.db.collection(this.usersCollectionName).findOne({ email }, { projection: { hashed_password: 0 } });
+    return { insertedCount, skippedCount, invalidCount };
+  }
 
-    const { _id, ...userWithoutId } = updatedUser;
-    return { item: { id: _id.toString(), ...userWithoutId } };
+  /**
+   * Filters out the log entries that are already stored, matching them by id or by content, and repeated entries of the batch.
+   *
+   * @async
+   * @function findNewLogs
+   * @param {Log[]} logs - The log entries to check.
+   * @returns {Promise<Log[]>} - A promise that resolves with the log entries that are not stored yet.
+   */
+  async findNewLogs (logs) {
+    const existingLogs = await this.db.collection(this.logsCollectionName)
+      .find(
+        { $or: logs.map(log => log._id ? { _id: log._id } : getLogContentQuery(log)) },
+        { projection: { _id: 1, timestamp: 1, hostname: 1, pid: 1, source: 1, level: 1, message: 1 } }
+      )
+      .toArray();
+    const seenIds = new Set(existingLogs.map(log => log._id.toString()));
+    const seenKeys = new Set(existingLogs.map(getLogContentKey));
+    return logs.filter(log => {
+      const key = getLogContentKey(log);
+      if ((log._id && seenIds.has(log._id.toString())) || seenKeys.has(key)) {
+        return false;
+      }
+      if (log._id) {
+        seenIds.add(log._id.toString());
+      }
+      seenKeys.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Returns the projection used when listing log entries, excluding the meta data, its parsed fields and the storage metadata.
+   *
+   * @returns {Object} - The projection.
+   */
+  getLogsProjection () {
+    return { meta: 0, meta_fields: 0, metadata: 0 };
   }
 
   /**
-   * Updates a user's password in the database.
+   * Counts log entries per time bucket, optionally grouped by hostname, source and level.
    *
    * @async
-   * @function updatePassword
-   * @param {string} email - The email address of the user whose password is to be updated.
-   * @param {string} currentPassword - The current password of the user for verification.
-   * @param {string} newPassword - The new password to replace the current one.
-   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the updated user item (excluding sensitive information).
-   * @throws {Error} - If the user is not found, if the current password is incorrect, or if the password update fails.
+   * @function getLogStats
+   * @param {Object} [options]
+   * @param {string[]} [options.groupBy=[]] - The fields to group by: 'hostname', 'source' and/or 'level'.
+   * @param {string} [options.interval='hour'] - The size of the time buckets: 'minute', 'hour' or 'day'.
+   * @param {Date} [options.gte_timestamp] - The start of the time range. Defaults to 24 hours before its end.
+   * @param {Date} [options.lte_timestamp] - The end of the time range. Defaults to now.
+   * @param {string} [options.timezone='UTC'] - The timezone used to align the time buckets.
+   * @param {string[]} [options.hostnames] - The hostnames to count.
+   * @param {{source: string, level: string}[]} [options.level_json] - The source and level pairs to count.
+   * @returns {Promise<{items: LogStat[]}>} - A promise that resolves with an object containing the counts, ordered by time bucket.
+   * @throws {Error} - Throws an error if the options are invalid or the operation fails.
    */
-  async updatePassword (email, currentPassword, newPassword) {
-    const user = await this.db.collection(this.usersCollectionName).findOne({ email });
-    if (!user) {
-      throw new Error('User not found.');
+  async getLogStats ({ groupBy = [], interval = 'hour', timezone = 'UTC', ...filters } = {}) {
+    const invalidField = groupBy.find(field => !['hostname', 'source', 'level'].includes(field));
+    if (invalidField) {
+      throw new Error(`Cannot group log statistics by ${invalidField}.`);
     }
-    const isMatch = await bcrypt.compare(currentPassword, user.hashed_password);
-    if (!isMatch) {
-      throw new Error('Current password is incorrect.');
+    if (!['minute', 'hour', 'day'].includes(interval)) {
+      throw new Error(`Unsupported log statistics interval: ${interval}.`);
     }
-    const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
-    const result = await this.db.collection(this.usersCollectionName).updateOne(
-      { email },
-      { $set: { hashed_password: hashedNewPassword } }
-    );
-    if (result.modifiedCount === 0) {
-      throw new Error('Password update failed.');
+
+    const lteTimestamp = filters.lte_timestamp ? new Date(filters.lte_timestamp) : new Date();
+    const gteTimestamp = filters.gte_timestamp ? new Date(filters.gte_timestamp) : new Date(lteTimestamp.getTime() - 24 * 60 * 60 * 1000);
+    const query = buildLogsFilterQuery({ ...filters, lte_timestamp: lteTimestamp, gte_timestamp: gteTimestamp });
+
+    const groupId = { timestamp: { $dateTrunc: { date: '$timestamp', unit: interval, timezone } } };
+    groupBy.forEach(field => {
+      groupId[field] = `$${field}`;
+    });
+    const results = await this.db.collection(this.logsCollectionName).aggregate([
+      { $match: query },
+      { $group: { _id: groupId, count: { $sum: 1 } } },
+      { $sort: { '_id.timestamp': 1, ...Object.fromEntries(groupBy.map(field => [`_id.${field}`, 1])) } }
+    ]).toArray();
+
+    return { items: results.map(({ _id, count }) => ({ ..._id, count })) };
+  }
+
+  /**
+   * Groups inserted log entries by fingerprint and updates the matching issues, creating the ones seen for the first time.
+   * Resolved issues that receive a log entry newer than their resolution are reopened and reported through an 'issueRegression' event.
+   *
+   * @async
+   * @function updateIssues
+   * @param {Log[]} logs - The inserted log entries. Entries without a fingerprint are ignored.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async updateIssues (logs) {
+    const groups = new Map();
+    logs.forEach(log => {
+      if (!log.fingerprint) return;
+      const timestamp = log.timestamp instanceof Date ? log.timestamp : new Date(log.timestamp);
+      const group = groups.get(log.fingerprint);
+      if (!group) {
+        groups.set(log.fingerprint, { log, firstSeen: timestamp, lastSeen: timestamp, count: 1, hostnames: new Set([log.hostname]) });
+        return;
+      }
+      if (timestamp < group.firstSeen) group.firstSeen = timestamp;
+      if (timestamp > group.lastSeen) group.lastSeen = timestamp;
+      group.count++;
+      group.hostnames.add(log.hostname);
+    });
+    if (groups.size === 0) {
+      return {};
     }
-    const returnUser = { ...user, id: user._id.toString() };
-    delete returnUser._id;
-    delete returnUser.hashed_password;
 
-    return { item: returnUser };
+    const operations = [...groups].map(([fingerprint, { log, firstSeen, lastSeen, count, hostnames }]) => ({
+      updateOne: {
+        filter: { fingerprint },
+        update: {
+          $setOnInsert: { source: log.source, level: log.level, message: log.message, status: 'open' },
+          $min: { first_seen: firstSeen },
+          $max: { last_seen: lastSeen },
+          $inc: { count },
+          $addToSet: { hostnames: { $each: [...hostnames] } }
+        },
+        upsert: true
+      }
+    }));
+    const issuesCollection = this.db.collection(this.issuesCollectionName);
+    await issuesCollection.bulkWrite(operations, { ordered: false });
+
+    const resolvedIssues = await issuesCollection
+      .find({ fingerprint: { $in: [...groups.keys()] }, status: 'resolved' }, { projection: { fingerprint: 1, resolved_at: 1 } })
+      .toArray();
+    for (const resolvedIssue of resolvedIssues) {
+      const { lastSeen } = groups.get(resolvedIssue.fingerprint);
+      if (lastSeen <= resolvedIssue.resolved_at) continue;
+      // The resolution is checked again so that concurrent flushes report each regression only once.
+      const result = await issuesCollection.updateOne(
+        { _id: resolvedIssue._id, status: 'resolved', resolved_at: { $lt: lastSeen } },
+        { $set: { status: 'open' }, $unset: { resolved_at: '' } }
+      );
+      if (result.modifiedCount === 0) continue;
+      const { _id, ...rest } = await issuesCollection.findOne({ _id: resolvedIssue._id });
+      this.emit('issueRegression', { id: _id.toString(), ...rest, resolved_at: resolvedIssue.resolved_at });
+    }
+    return {};
   }
 
   /**
-   * Deletes a user record from the database.
+   * Retrieves issues, the groups of error log entries that share a fingerprint.
    *
    * @async
-   * @function deleteUser
-   * @param {string} id - The unique ID of the user to be deleted.
-   * @returns {Promise<{}>} - A Promise that resolves with an empty object upon successful deletion of the user.
-   * @throws {Error} - Throws an error if no user is found with the given ID or if the database operation fails.
+   * @function getIssues
+   * @param {IssueFilter} [filters] - Filters to apply for issue retrieval. The timestamp filters select issues seen within the time range.
+   * @returns {Promise<{items: Issue[]}>} - A Promise that resolves with an object containing the issues.
+   * @throws {Error} - Throws an error if the filters are invalid or the operation fails.
    */
-  async deleteUser (id) {
+  async getIssues (filters = {}) {
+    const sort = filters.sort || 'last_seen';
+    if (!['last_seen', 'first_seen', 'count'].includes(sort)) {
+      throw new Error(`Cannot sort issues by ${sort}.`);
+    }
+
+    const query = {};
+    if (filters.status) {
+      // Issues are open unless they were resolved or ignored.
+      query.status = filters.status === 'open' ? { $in: ['open', null] } : filters.status;
+    }
+    if (filters.assignee) {
+      query.assignee = filters.assignee;
+    }
+    if (filters.hostnames && filters.hostnames.length > 0) {
+      query.hostnames = { $in: filters.hostnames };
+    }
+    if (filters.level_json && filters.level_json.length > 0) {
+      query.$or = filters.level_json.map(levelObj => ({ source: levelObj.source, level: levelObj.level }));
+    }
+    if (filters.gte_timestamp) {
+      query.last_seen = { $gte: new Date(filters.gte_timestamp) };
+    }
+    if (filters.lte_timestamp) {
+      query.first_seen = { $lte: new Date(filters.lte_timestamp) };
+    }
+
+    const documents = await this.db.collection(this.issuesCollectionName)
+      .find(query)
+      .sort({ [sort]: -1, _id: -1 })
+      .limit(filters.limit || 100)
+      .toArray();
+
+    return { items: documents.map(({ _id, ...rest }) => ({ id: _id.toString(), ...rest })) };
+  }
+
+  /**
+   * Updates the status or the assignee of an issue. Resolving an issue records the resolution time,
+   * so that it is reopened when a newer log entry with its fingerprint is inserted.
+   *
+   * @async
+   * @function updateIssue
+   * @param {string} id - The ID of the issue.
+   * @param {Object} updates
+   * @param {'open'|'resolved'|'ignored'} [updates.status] - The new status of the issue.
+   * @param {string|null} [updates.assignee] - The ID of the user to assign the issue to, or null to unassign it.
+   * @returns {Promise<{item: Issue}>} - A Promise that resolves with an object containing the updated issue.
+   * @throws {Error} - Throws an error if the updates are invalid, the user or the issue is not found, or the operation fails.
+   */
+  async updateIssue (id, updates = {}) {
+    const $set = {};
+    const $unset = {};
+    if (updates.status !== undefined) {
+      if (!issueStatuses.includes(updates.status)) {
+        throw new Error(`Unsupported issue status: ${updates.status}.`);
+      }
+      $set.status = updates.status;
+      if (updates.status === 'resolved') {
+        $set.resolved_at = new Date();
+      } else {
+        $unset.resolved_at = '';
+      }
+    }
+    if (updates.assignee === null) {
+      $unset.assignee = '';
+    } else if (updates.assignee !== undefined) {
+      const user = await this.db.collection(this.usersCollectionName).findOne({ _id: new ObjectId(updates.assignee) }, { projection: { _id: 1 } });
+      if (!user) {
+        throw new Error('User not found.');
+      }
+      $set.assignee = user._id.toString();
+    }
+    if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) {
+      throw new Error('No issue updates provided.');
+    }
+
     const objectId = new ObjectId(id);
-    const result = await this.db.collection(this.usersCollectionName).deleteOne({ _id: objectId });
-    if (result.deletedCount === 0) {
-      throw new Error('User not found.');
+    const update = Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+    const result = await this.db.collection(this.issuesCollectionName).updateOne({ _id: objectId }, update);
+    if (result.matchedCount === 0) {
+      throw new Error('Issue not found.');
+    }
+    const issue = await this.db.collection(this.issuesCollectionName).findOne({ _id: objectId });
+
+    const { _id, ...rest } = issue;
+    return { item: { id: _id.toString(), ...rest } };
+  }
+
+  /**
+   * Retrieves the log entries grouped into an issue.
+   *
+   * @async
+   * @function getLogsByIssue
+   * @param {string} fingerprint - The fingerprint of the issue.
+   * @param {LogFilter} [filters] - Filters to apply for log retrieval.
+   * @returns {Promise<{items: Log[], nextCursor: string|null, prevCursor: string|null}>} - A Promise that resolves with an object containing log items
+   * and the cursors of the pages of older and newer entries.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async getLogsByIssue (fingerprint, filters = {}) {
+    return this.getLogs({ ...filters, fingerprint });
+  }
+
+  /**
+   * Retrieves a log entry together with the log entries just before and after it, ordered by timestamp and id.
+   *
+   * @async
+   * @function getLogContext
+   * @param {string} id - The ID of the log entry.
+   * @param {Object} [options]
+   * @param {number} [options.before=10] - The number of log entries to retrieve before the entry.
+   * @param {number} [options.after=10] - The number of log entries to retrieve after the entry.
+   * @param {boolean} [options.sameHostname=true] - Whether to only retrieve log entries of the entry's hostname.
+   * @param {boolean} [options.samePid=false] - Whether to only retrieve log entries of the entry's process.
+   * @returns {Promise<{items: Log[]}>} - A Promise that resolves with an object containing the log entries, including the entry itself.
+   * @throws {Error} - Throws an error if the log entry is not found or the operation fails.
+   */
+  async getLogContext (id, { before = 10, after = 10, sameHostname = true, samePid = false } = {}) {
+    const collection = this.db.collection(this.logsCollectionName);
+    const projection = this.getLogsProjection();
+    const entry = await collection.findOne({ _id: new ObjectId(id) }, { projection });
+    if (!entry) {
+      throw new Error('Log entry not found.');
+    }
+
+    const query = {};
+    if (sameHostname) {
+      query.hostname = entry.hostname;
+    }
+    if (samePid) {
+      query.pid = entry.pid;
+    }
+    const sortFields = ['timestamp', '_id'];
+    const values = [entry.timestamp, entry._id];
+    const findNeighbours = (count, operator) => {
+      // A limit of 0 means no limit, so no query is needed for no neighbours.
+      if (!(count > 0)) return [];
+      const direction = operator === '$lt' ? -1 : 1;
+      return collection
+        .find({ ...query, ...getKeysetCondition(sortFields, values, operator) }, { projection })
+        .sort({ timestamp: direction, _id: direction })
+        .limit(count)
+        .toArray();
+    };
+    const [beforeDocuments, afterDocuments] = await Promise.all([findNeighbours(before, '$lt'), findNeighbours(after, '$gt')]);
+
+    const documents = [...beforeDocuments.reverse(), entry, ...afterDocuments];
+    return { items: documents.map(({ _id, ...rest }) => ({ id: _id.toString(), ...rest })) };
+  }
+
+  /**
+   * Retrieves the meta data of a log entry.
+   *
+   * @async
+   * @function getMeta
+   * @param {string} id - The ID of the log entry.
+   * @returns {Promise<{item: id, meta}>}- A promise that resolves with an object containing the meta data of the log entry.
+   * @throws {Error} - Throws an error if the log entry is not found or the operation fails.
+   */
+  async getMeta (id) {
+    const objectId = new ObjectId(id);
+    const result = await this.db.collection(this.logsCollectionName).findOne({ _id: objectId }, { projection: { meta: 1 } });
+
+    if (!result) {
+      throw new Error('Log entry not found.');
+    }
+
+    return { item: { id: result._id, meta: result.meta } };
+  }
+
+  /**
+   * Ensures that the Time To Live (TTL) configuration for logs is set.
+   *
+   * @async
+   * @function ensureLogsTTL
+   * @returns {Promise<{}>} - A promise that resolves with an empty object once the TTL configuration is confirmed or updated.
+   */
+  async ensureLogsTTL () {
+    const DEFAULT_TTL = 2592000000; // 30 days in milliseconds
+    try {
+      let result = await this.getConfig('logsTTL');
+      if (!result.item) {
+        result = await this.setConfig('logsTTL', DEFAULT_TTL.toString());
+      }
+      // Retention rules can keep some logs longer than logsTTL, so the collection TTL must cover the longest of them.
+      const { items: rules } = await this.getRetentionRules();
+      const longestRuleTTL = Math.max(0, ...rules.map(rule => rule.ttl));
+      let logsTTL = longestRuleTTL > parseInt(result.item.value) ? longestRuleTTL : result.item.value;
+      if (this.archiveDirectory) {
+        // Logs are archived and deleted by applyRetentionRules, so the TTL index only removes logs it failed to handle.
+        logsTTL = parseInt(logsTTL) + this.archiveGracePeriod;
+      }
+      await this.updateLogsCollectionTTL(logsTTL);
+      await this.updateNotificationsCollectionTTL(result.item.value);
+    } catch (err) {
+      console.error(err);
     }
     return {};
   }
 
   /**
-   * Deletes all log entries from the database.
+   * Retrieves the retention rules that override logsTTL for specific sources and levels.
    *
    * @async
-   * @function DeleteAllLogs
-   * @returns {Promise<{}>} - A Promise that resolves with an empty object upon successful deletion of all logs.
+   * @function getRetentionRules
+   * @returns {Promise<{items: RetentionRule[]}>} - A promise that resolves with an object containing the retention rules.
+   * @throws {Error} - Throws an error if the operation fails.
    */
-  async deleteAllLogs () {
-    const session = this.client.startSession();
-    await session.withTransaction(async () => {
-      await this.db.collection(this.logsCollectionName).drop();
-      await this.ensureCollections();
-      await this.ensureLogsTTL();
+  async getRetentionRules () {
+    const result = await this.getConfig('logsRetentionRules');
+    return { items: result.item ? JSON.parse(result.item.value) : [] };
+  }
+
+  /**
+   * Stores the retention rules that override logsTTL for specific sources and levels, and updates the logs collection TTL.
+   * Rules are matched in order and the first matching rule applies; logs matching no rule are kept for logsTTL.
+   *
+   * @async
+   * @function setRetentionRules
+   * @param {RetentionRule[]} rules - The retention rules.
+   * @returns {Promise<{items: RetentionRule[]}>} - A promise that resolves with an object containing the stored retention rules.
+   * @throws {Error} - Throws an error if a rule is invalid or the operation fails.
+   */
+  async setRetentionRules (rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Retention rules must be an array.');
+    }
+    const items = rules.map(rule => {
+      if (!rule || (!rule.source && !rule.level)) {
+        throw new Error('Each retention rule must specify a source, a level, or both.');
+      }
+      const ttl = Number(rule.ttl);
+      if (!(ttl > 0)) {
+        throw new Error('Each retention rule must specify a positive ttl in milliseconds.');
+      }
+      return { ...getRetentionRuleSelector(rule), ttl };
     });
-    await session.endSession();
-    return {};
+    await this.setConfig('logsRetentionRules', JSON.stringify(items));
+    await this.ensureLogsTTL();
+    return { items };
+  }
+
+  /**
+   * Deletes the log entries that have outlived their retention rule, and those matching no rule that have outlived logsTTL.
+   * Log entries restored from an archive are kept for restoreRetention after they were restored, and then deleted.
+   * When an archive directory is configured, the log entries are archived before they are deleted.
+   * Emits a 'logsPruned' event when log entries are deleted.
+   *
+   * @async
+   * @function applyRetentionRules
+   * @returns {Promise<{deletedCount: number}>} - A promise that resolves with the number of deleted log entries.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async applyRetentionRules () {
+    const { items: rules } = await this.getRetentionRules();
+    const now = Date.now();
+    // The TTL index leaves out restored log entries, so they are always deleted here.
+    const queries = [{ restored_at: { $lt: new Date(now - this.restoreRetention) } }];
+
+    if (rules.length > 0 || this.archiveDirectory) {
+      const selectors = rules.map(getRetentionRuleSelector);
+      const notRestored = { $exists: false };
+      queries.push(...rules.map((rule, index) => {
+        const query = { ...selectors[index], timestamp: { $lt: new Date(now - rule.ttl) }, restored_at: notRestored };
+        if (index > 0) {
+          query.$nor = selectors.slice(0, index);
+        }
+        return query;
+      }));
+      const logsTTLConfig = await this.getConfig('logsTTL');
+      if (logsTTLConfig.item) {
+        const query = { timestamp: { $lt: new Date(now - parseInt(logsTTLConfig.item.value)) }, restored_at: notRestored };
+        if (selectors.length > 0) {
+          query.$nor = selectors;
+        }
+        queries.push(query);
+      }
+    }
+
+    let deletedCount = 0;
+    for (const query of queries) {
+      const result = await this.removeLogs(query);
+      deletedCount += result.deletedCount;
+    }
+    if (deletedCount > 0) {
+      this.emit('logsPruned', { deletedCount });
+    }
+    return { deletedCount };
+  }
+
+  /**
+   * Deletes the log entries matching a query, archiving them first when an archive directory is configured.
+   * Log entries restored from an archive are already archived, so they are deleted without being archived again.
+   *
+   * @async
+   * @function removeLogs
+   * @param {Object} query - The query selecting the log entries to delete.
+   * @returns {Promise<{deletedCount: number}>} - A promise that resolves with the number of deleted log entries.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async removeLogs (query) {
+    const logsCollection = this.db.collection(this.logsCollectionName);
+    if (!this.archiveDirectory) {
+      const result = await logsCollection.deleteMany(query);
+      return { deletedCount: result.deletedCount };
+    }
+
+    let deletedCount = 0;
+    while (true) {
+      const logs = await logsCollection.find(query).sort({ timestamp: 1, _id: 1 }).limit(pruneBatchSize).toArray();
+      if (logs.length === 0) {
+        break;
+      }
+      await this.archiveLogs(logs.filter(log => !log.restored_at));
+      const result = await logsCollection.deleteMany({ _id: { $in: logs.map(log => log._id) } });
+      deletedCount += result.deletedCount;
+      if (logs.length < pruneBatchSize) {
+        break;
+      }
+    }
+    return { deletedCount };
+  }
+
+  /**
+   * Appends log entries, including their meta data, to gzip-compressed NDJSON files in the archive directory.
+   * The files are partitioned by day and hostname as <archiveDirectory>/<YYYY-MM-DD>/<hostname>.ndjson.gz.
+   *
+   * @async
+   * @function archiveLogs
+   * @param {Log[]} logs - The log entries to archive.
+   * @returns {Promise<{archivedCount: number}>} - A promise that resolves with the number of archived log entries.
+   * @throws {Error} - Throws an error if an archive file cannot be written.
+   */
+  async archiveLogs (logs) {
+    const partitions = new Map();
+    logs.forEach(log => {
+      const timestamp = new Date(log.timestamp);
+      const day = isNaN(timestamp) ? 'unknown' : timestamp.toISOString().slice(0, 10);
+      const hostname = String(log.hostname || 'unknown').replace(/[^a-zA-Z0-9._-]/g, '_');
+      const filePath = path.join(this.archiveDirectory, day, `${hostname}.ndjson.gz`);
+      if (!partitions.has(filePath)) {
+        partitions.set(filePath, []);
+      }
+      const { metadata, meta_fields: metaFields, ...archivedLog } = log;
+      partitions.get(filePath).push(JSON.stringify(archivedLog) + '\n');
+    });
+
+    for (const [filePath, lines] of partitions) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Each write appends a gzip member; concatenated members decompress as a single stream.
+      await pipeline(Readable.from(lines), zlib.createGzip(), fs.createWriteStream(filePath, { flags: 'a' }));
+    }
+    return { archivedCount: logs.length };
+  }
+
+  /**
+   * Re-imports archived log entries into the logs collection, marking them with a restored_at date.
+   * Log entries that are already in the collection are skipped. Restored log entries are left out of the TTL index and kept
+   * for restoreRetention, after which applyRetentionRules deletes them without archiving them again.
+   *
+   * @async
+   * @function restoreArchive
+   * @param {string} archivePath - An archive file, or a directory whose archive files are restored recursively.
+   * @returns {Promise<{restoredCount: number, skippedCount: number, failedCount: number}>} - A promise that resolves with the number of restored,
+   * skipped and failed log entries.
+   * @throws {Error} - Throws an error if an archive file cannot be read.
+   */
+  async restoreArchive (archivePath) {
+    const stats = await fs.promises.stat(archivePath);
+    const filePaths = stats.isDirectory() ? await findArchiveFiles(archivePath) : [archivePath];
+
+    let restoredCount = 0;
+    let skippedCount = 0;
+    let failedCount = 0;
+    const restoredAt = new Date();
+    const restoreBatch = async batch => {
+      const { insertedLogs, failedLogs } = await this.insertLogs(batch);
+      restoredCount += insertedLogs.length;
+      skippedCount += batch.length - insertedLogs.length - failedLogs.length;
+      failedCount += failedLogs.length;
+    };
+
+    for (const filePath of filePaths) {
+      const lines = readline.createInterface({ input: fs.createReadStream(filePath).pipe(zlib.createGunzip()), crlfDelay: Infinity });
+      let batch = [];
+      for await (const line of lines) {
+        const log = line ? parseLogLine(line) : null;
+        if (!log) {
+          continue;
+        }
+        batch.push({ ...log, restored_at: restoredAt });
+        if (batch.length >= this.batchSize) {
+          await restoreBatch(batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        await restoreBatch(batch);
+      }
+    }
+    return { restoredCount, skippedCount, failedCount };
+  }
+
+  /**
+   * Updates the TTL index for the logs collection in the database. The index only covers the log entries marked as expiring
+   * in their metadata, so that restored log entries are not removed. Time-series collections get a partial TTL index, which
+   * requires MongoDB 6.3 or later, in place of the expireAfterSeconds collection option.
+   *
+   * @async
+   * @function updateLogsCollectionTTL
+   * @param {number} logsTTL - The TTL value (in milliseconds) to set for logs expiration.
+   * @returns {Promise<void>} - A promise that resolves with an empty object when the logs collection TTL is successfully updated.
+   * @throws {Error} - Throws an error if updating the TTL index fails.
+   */
+  async updateLogsCollectionTTL (logsTTL) {
+    const ttlInSeconds = Math.round(parseInt(logsTTL) / 1000);
+    const logsCollection = this.db.collection(this.logsCollectionName);
+    if (this.isTimeSeriesLogsCollection) {
+      // The collection option would expire every document, including restored ones.
+      const [collection] = await this.db.listCollections({ name: this.logsCollectionName }).toArray();
+      if (collection && collection.options && collection.options.expireAfterSeconds !== undefined) {
+        await this.db.command({ collMod: this.logsCollectionName, expireAfterSeconds: 'off' });
+      }
+    }
+    const indexes = await logsCollection.indexes();
+    const ttlIndex = indexes.find(index => index.expireAfterSeconds && Object.keys(index.key).includes('timestamp'));
+    if (!ttlIndex || ttlIndex.expireAfterSeconds !== ttlInSeconds || !ttlIndex.partialFilterExpression) {
+      if (ttlIndex) {
+        await logsCollection.dropIndex(ttlIndex.name);
+      }
+      // Log entries stored before the expires marker existed keep expiring. Time-series updates may only filter on the metadata.
+      const unmarkedQuery = this.isTimeSeriesLogsCollection
+        ? { 'metadata.expires': { $exists: false } }
+        : { 'metadata.expires': { $exists: false }, restored_at: { $exists: false } };
+      await logsCollection.updateMany(unmarkedQuery, { $set: { 'metadata.expires': true } });
+      await logsCollection.createIndex({ timestamp: 1 }, { expireAfterSeconds: ttlInSeconds, partialFilterExpression: { 'metadata.expires': true } });
+    }
+    return {};
+  }
+
+  /**
+   * Deletes the oldest log entries when the logs collection exceeds the logsMaxCount or logsMaxSizeBytes configuration.
+   * Emits a 'logsPruned' event when log entries are deleted.
+   *
+   * @async
+   * @function pruneLogs
+   * @returns {Promise<{deletedCount: number}>} - A promise that resolves with the number of deleted log entries.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async pruneLogs () {
+    if (this.isPruningLogs) {
+      return { deletedCount: 0 };
+    }
+    this.isPruningLogs = true;
+    try {
+      const maxCountConfig = await this.getConfig('logsMaxCount');
+      const maxSizeConfig = await this.getConfig('logsMaxSizeBytes');
+      const maxCount = maxCountConfig.item ? parseInt(maxCountConfig.item.value) : 0;
+      const maxSizeBytes = maxSizeConfig.item ? parseInt(maxSizeConfig.item.value) : 0;
+      if (!maxCount && !maxSizeBytes) {
+        return { deletedCount: 0 };
+      }
+
+      const logsCollection = this.db.collection(this.logsCollectionName);
+      const count = await logsCollection.estimatedDocumentCount();
+      let excessCount = maxCount && count > maxCount ? count - maxCount : 0;
+      if (maxSizeBytes) {
+        const [stats] = await logsCollection.aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+        const size = stats ? stats.storageStats.size : 0;
+        if (size > maxSizeBytes && count > 0) {
+          const averageSize = size / count;
+          excessCount = Math.max(excessCount, Math.ceil((size - maxSizeBytes) / averageSize));
+        }
+      }
+
+      let deletedCount = 0;
+      while (deletedCount < excessCount) {
+        const oldestLogs = await logsCollection
+          .find({}, this.archiveDirectory ? {} : { projection: { _id: 1 } })
+          .sort({ timestamp: 1, _id: 1 })
+          .limit(Math.min(pruneBatchSize, excessCount - deletedCount))
+          .toArray();
+        if (oldestLogs.length === 0) {
+          break;
+        }
+        if (this.archiveDirectory) {
+          await this.archiveLogs(oldestLogs.filter(log => !log.restored_at));
+        }
+        const result = await logsCollection.deleteMany({ _id: { $in: oldestLogs.map(log => log._id) } });
+        if (result.deletedCount === 0) {
+          break;
+        }
+        deletedCount += result.deletedCount;
+      }
+
+      if (deletedCount > 0) {
+        this.emit('logsPruned', { deletedCount });
+      }
+      return { deletedCount };
+    } finally {
+      this.isPruningLogs = false;
+    }
+  }
+
+  /**
+   * Inserts a notification, counts today's notifications, and retrieves the previous notification.
+   * @param {Notification} notification - The notification to be inserted.
+   * @returns {Promise<Object>} - Returns today's notification count and the previous notification.
+   */
+  async insertNotificationItem (notification = {}) {
+    const errsoleId = notification.errsole_id;
+    const hostname = notification.hostname;
+    const hashedMessage = notification.hashed_message;
+
+    const session = this.db.client.startSession();
+
+    try {
+      const transactionOptions = {
+        readPreference: 'primary',
+        readConcern: { level: 'snapshot' },
+        writeConcern: { w: 'majority' }
+      };
+
+      let result;
+      await session.withTransaction(async () => {
+        const notificationsCollection = this.db.collection(this.notificationsCollectionName);
+
+        const previousNotificationItem = await notificationsCollection.findOne(
+          { hostname, hashed_message: hashedMessage },
+          { sort: { created_at: -1 }, session }
+        );
+
+        const timestamp = new Date();
+        await notificationsCollection.insertOne(
+          {
+            errsole_id: errsoleId,
+            hostname,
+            hashed_message: hashedMessage,
+            created_at: timestamp,
+            updated_at: timestamp
+          },
+          { session }
+        );
+
+        const startOfDayUTC = new Date();
+        startOfDayUTC.setUTCHours(0, 0, 0, 0);
+        const endOfDayUTC = new Date();
+        endOfDayUTC.setUTCHours(23, 59, 59, 999);
+        const todayNotificationCount = await notificationsCollection.countDocuments(
+          {
+            hostname,
+            hashed_message: hashedMessage,
+            created_at: { $gte: startOfDayUTC, $lte: endOfDayUTC }
+          },
+          { session }
+        );
+
+        let formattedPreviousNotification;
+        if (previousNotificationItem) {
+          const { _id, ...rest } = previousNotificationItem;
+          formattedPreviousNotification = { id: _id.toString(), ...rest };
+        }
+
+        result = {
+          previousNotificationItem: formattedPreviousNotification,
+          todayNotificationCount
+        };
+      }, transactionOptions);
+
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Updates the TTL index for the notifications collection in the database.
+   *
+   * @async
+   * @function updateNotificationsCollectionTTL
+   * @param {number} notificationsTTL - The TTL value (in milliseconds) to set for notifications expiration.
+   * @returns {Promise<void>} - A promise that resolves with an empty object when the notifications collection TTL is successfully updated.
+   * @throws {Error} - Throws an error if updating the TTL index fails.
+   */
+  async updateNotificationsCollectionTTL (notificationsTTL) {
+    const ttlInSeconds = parseInt(notificationsTTL) / 1000;
+    const indexes = await this.db.collection(this.notificationsCollectionName).indexes();
+    const ttlIndex = indexes.find(index => index.expireAfterSeconds && Object.keys(index.key).includes('created_at'));
+    if (!ttlIndex || ttlIndex.expireAfterSeconds !== ttlInSeconds) {
+      if (ttlIndex) {
+        await this.db.collection(this.notificationsCollectionName).dropIndex(ttlIndex.name);
+      }
+      await this.db.collection(this.notificationsCollectionName).createIndex({ created_at: 1 }, { expireAfterSeconds: ttlInSeconds });
+    }
+    return {};
+  }
+
+  /**
+   * Creates a new user record in the database.
+   *
+   * @async
+   * @function createUser
+   * @param {Object} user - The user data.
+   * @param {string} user.name - The name of the user.
+   * @param {string} user.email - The email address of the user.
+   * @param {string} user.password - The password of the user.
+   * @param {string} user.role - The role of the user.
+   * @returns {Promise<{item: User}>} - A promise that resolves with an object containing the new user item.
+   * @throws {Error} - Throws an error if the password does not meet the password policy, or the user creation fails due to duplicate email or other database issues.
+   */
+  async createUser (user) {
+    try {
+      validatePassword(user.password, this.passwordPolicy);
+      const hashedPassword = await bcrypt.hash(user.password, this.passwordHashCost);
+      const userData = {
+        ...user,
+        hashed_password: hashedPassword
+      };
+      delete userData.password;
+      if (this.passwordPolicy.historySize > 0) {
+        userData.password_history = [hashedPassword];
+      }
+
+      const result = await this.db.collection(this.usersCollectionName).insertOne(userData);
+      if (!result.insertedId) {
+        throw new Error('Failed to insert the user record into the database.');
+      }
+
+      const newUser = await this.db.collection(this.usersCollectionName).findOne({ _id: result.insertedId }, { projection: userProjection });
+      const { _id, ...rest } = newUser;
+      return { item: { id: _id.toString(), ...rest } };
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new Error('A user with the provided email already exists.');
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Verifies a user's credentials against stored records.
+   * After maxLoginAttempts consecutive failed attempts, the user is locked out for loginLockoutDuration milliseconds.
+   * An unknown email, an incorrect password and a locked out user all fail with the same error, so that the error
+   * does not reveal which emails belong to users. A password hashed with a lower cost than passwordHashCost is rehashed.
+   *
+   * @async
+   * @function verifyUser
+   * @param {string} email - The email address of the user.
+   * @param {string} password - The password of the user
+   * @returns {Promise<{item: User}>} - A promise that resolves with an object containing the user item upon successful verification.
+   * @throws {Error} - Throws an error if the credentials are invalid, the user is locked out or the operation fails.
+   */
+  async verifyUser (email, password) {
+    if (!email || !password) {
+      throw new Error('Email and password must be provided.');
+    }
+
+    const user = await this.db.collection(this.usersCollectionName).findOne({ email });
+    if (!user) {
+      await bcrypt.compare(password, await this.getDummyPasswordHash());
+      throw new Error('Invalid email or password.');
+    }
+
+    if (user.locked_until && user.locked_until > new Date()) {
+      // A locked out user is answered as slowly as any other attempt, so the lockout does not reveal that the email belongs to a user.
+      await bcrypt.compare(password, await this.getDummyPasswordHash());
+      throw new Error('Invalid email or password.');
+    }
+
+    const isPasswordCorrect = await bcrypt.compare(password, user.hashed_password);
+    if (!isPasswordCorrect) {
+      await this.recordFailedLogin(user._id);
+      throw new Error('Invalid email or password.');
+    }
+
+    if (user.failed_login_attempts || user.locked_until) {
+      await this.db.collection(this.usersCollectionName).updateOne(
+        { _id: user._id },
+        { $unset: { failed_login_attempts: '', locked_until: '' } }
+      );
+    }
+
+    if (bcrypt.getRounds(user.hashed_password) < this.passwordHashCost) {
+      await this.rehashPassword(user, password).catch(err => this.emitError(err));
+    }
+
+    const returnUser = { ...user, id: user._id.toString() };
+    delete returnUser._id;
+    delete returnUser.hashed_password;
+    delete returnUser.password_history;
+    delete returnUser.failed_login_attempts;
+    delete returnUser.locked_until;
+
+    return { item: returnUser };
+  }
+
+  /**
+   * Returns the hash of a random password, compared against when there is no password hash to verify, so that verifyUser
+   * takes about as long for unknown emails and locked out users as for any other attempt. The hash uses passwordHashCost
+   * and is computed once.
+   *
+   * @async
+   * @function getDummyPasswordHash
+   * @returns {Promise<string>} - A Promise that resolves with the dummy password hash.
+   */
+  async getDummyPasswordHash () {
+    if (!this.dummyPasswordHashPromise) {
+      this.dummyPasswordHashPromise = bcrypt.hash(crypto.randomBytes(16).toString('hex'), this.passwordHashCost).catch(err => {
+        this.dummyPasswordHashPromise = undefined;
+        throw err;
+      });
+    }
+    return this.dummyPasswordHashPromise;
+  }
+
+  /**
+   * Replaces the password hash of a user with a hash of the configured cost.
+   * The hash is only replaced if the password has not changed since it was verified.
+   *
+   * @async
+   * @function rehashPassword
+   * @param {Object} user - The user document the password was verified against.
+   * @param {string} password - The verified password.
+   * @returns {Promise<void>} - A Promise that resolves when the password is rehashed.
+   */
+  async rehashPassword (user, password) {
+    const hashedPassword = await bcrypt.hash(password, this.passwordHashCost);
+    await this.db.collection(this.usersCollectionName).updateOne(
+      { _id: user._id, hashed_password: user.hashed_password },
+      { $set: { hashed_password: hashedPassword } }
+    );
+  }
+
+  /**
+   * Counts a failed login attempt of a user, locking the user out when the attempts reach maxLoginAttempts.
+   * The counter is incremented atomically, so that concurrent attempts cannot get past the limit.
+   *
+   * @async
+   * @function recordFailedLogin
+   * @param {ObjectId} userId - The ID of the user.
+   * @returns {Promise<void>} - A Promise that resolves when the attempt is recorded.
+   */
+  async recordFailedLogin (userId) {
+    const usersCollection = this.db.collection(this.usersCollectionName);
+    const user = await usersCollection.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { failed_login_attempts: 1 } },
+      { returnDocument: 'after', projection: { failed_login_attempts: 1 } }
+    );
+    if (user && this.maxLoginAttempts > 0 && user.failed_login_attempts >= this.maxLoginAttempts) {
+      await usersCollection.updateOne(
+        { _id: userId },
+        { $set: { failed_login_attempts: 0, locked_until: new Date(Date.now() + this.loginLockoutDuration) } }
+      );
+    }
+  }
+
+  /**
+   * Lifts the lockout of a user and clears the failed login attempts.
+   *
+   * @async
+   * @function unlockUser
+   * @param {string} email - The email address of the user.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object upon success.
+   * @throws {Error} - Throws an error if no user matches the email address.
+   */
+  async unlockUser (email) {
+    const result = await this.db.collection(this.usersCollectionName).updateOne(
+      { email },
+      { $unset: { failed_login_attempts: '', locked_until: '' } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error('User not found.');
+    }
+    return {};
+  }
+
+  /**
+   * Retrieves the total count of users from the database.
+   *
+   * @async
+   * @function getUserCount
+   * @returns {Promise<{count: number}>} - A promise that resolves with an object containing the count of users.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async getUserCount () {
+    const count = await this.db.collection(this.usersCollectionName).countDocuments({});
+    return { count };
+  }
+
+  /**
+   * Retrieves all user records from the database.
+   *
+   * @async
+   * @function getAllUsers
+   * @returns {Promise<{items: User[]}>} - A promise that resolves with an object containing an array of user items.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async getAllUsers () {
+    const users = await this.db.collection(this.usersCollectionName).find({}, { projection: userProjection }).toArray();
+    const formattedUsers = users.map(user => {
+      const { _id, ...rest } = user;
+      return { id: _id.toString(), ...rest };
+    });
+    return { items: formattedUsers };
+  }
+
+  /**
+   * Retrieves a user record from the database based on the provided email.
+   *
+   * @async
+   * @function getUserByEmail
+   * @param {string} email - The email address of the user.
+   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the user item.
+   * @throws {Error} - Throws an error if no user matches the email address.
+   */
+  async getUserByEmail (email) {
+    const user = await this.db.collection(this.usersCollectionName).findOne({ email }, { projection: userProjection });
+
+    if (!user) {
+      throw new Error('User not found.');
+    }
+
+    const { _id, ...userWithoutId } = user;
+    return { item: { id: _id.toString(), ...userWithoutId } };
+  }
+
+  /**
+   * Updates a user's record in the database based on the provided email.
+   *
+   * @async
+   * @function updateUserByEmail
+   * @param {string} email - The email address of the user to be updated.
+   * @param {Object} updates - The updates to be applied to the user record.
+   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the updated user item.
+   * @throws {Error} - Throws an error if no updates could be applied or the user is not found.
+   */
+  async updateUserByEmail (email, updates) {
+    delete updates.hashed_password;
+    delete updates.password_history;
+    const result = await this.db.collection(this.usersCollectionName).updateOne({ email }, { $set: updates });
+    if (result.modifiedCount === 0) {
+      throw new Error('No updates applied. User record not found or provided updates are identical to existing data.');
+    }
+    const updatedUser = await this.db.collection(this.usersCollectionName).findOne({ email }, { projection: userProjection });
+
+    const { _id, ...userWithoutId } = updatedUser;
+    return { item: { id: _id.toString(), ...userWithoutId } };
+  }
+
+  /**
+   * Updates a user's password in the database and revokes the user's outstanding password reset tokens.
+   *
+   * @async
+   * @function updatePassword
+   * @param {string} email - The email address of the user whose password is to be updated.
+   * @param {string} currentPassword - The current password of the user for verification.
+   * @param {string} newPassword - The new password to replace the current one.
+   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the updated user item (excluding sensitive information).
+   * @throws {Error} - If the new password does not meet the password policy or reuses a recent password, if the user is not found,
+   * if the current password is incorrect, or if the password update fails.
+   */
+  async updatePassword (email, currentPassword, newPassword) {
+    validatePassword(newPassword, this.passwordPolicy);
+    const user = await this.db.collection(this.usersCollectionName).findOne({ email });
+    if (!user) {
+      throw new Error('User not found.');
+    }
+    const isMatch = await bcrypt.compare(currentPassword, user.hashed_password);
+    if (!isMatch) {
+      throw new Error('Current password is incorrect.');
+    }
+    const update = await this.buildPasswordUpdate(user, newPassword);
+    const result = await this.db.collection(this.usersCollectionName).updateOne(
+      { email },
+      { $set: update }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error('Password update failed.');
+    }
+    // Reset tokens requested before the change would otherwise still replace the new password.
+    await this.db.collection(this.passwordResetsCollectionName).deleteMany({ user_id: user._id });
+    const returnUser = { ...user, id: user._id.toString() };
+    delete returnUser._id;
+    delete returnUser.hashed_password;
+    delete returnUser.password_history;
+
+    return { item: returnUser };
+  }
+
+  /**
+   * Hashes the new password of a user, rejecting the reuse of a password from the password history.
+   *
+   * @async
+   * @function buildPasswordUpdate
+   * @param {Object} user - The user document.
+   * @param {string} newPassword - The new password, already checked against the password policy.
+   * @returns {Promise<Object>} - A Promise that resolves with the fields to set on the user document.
+   * @throws {Error} - Throws an error if the new password matches one of the passwords in the history.
+   */
+  async buildPasswordUpdate (user, newPassword) {
+    const { historySize } = this.passwordPolicy;
+    let passwordHistory;
+    if (historySize > 0) {
+      // Users created before the history was enabled only have their current hash.
+      passwordHistory = (user.password_history || [user.hashed_password]).slice(0, historySize);
+      for (const hashedPassword of passwordHistory) {
+        if (await bcrypt.compare(newPassword, hashedPassword)) {
+          throw new Error(`New password must differ from the last ${historySize} passwords.`);
+        }
+      }
+    }
+
+    const hashedNewPassword = await bcrypt.hash(newPassword, this.passwordHashCost);
+    const update = { hashed_password: hashedNewPassword };
+    if (passwordHistory) {
+      update.password_history = [hashedNewPassword, ...passwordHistory].slice(0, historySize);
+    }
+    return update;
+  }
+
+  /**
+   * Creates a single-use token that lets a user set a new password without the current one.
+   * Only a hash of the token is stored, and creating a token invalidates the earlier tokens of the user.
+   *
+   * @async
+   * @function createPasswordResetToken
+   * @param {string} email - The email address of the user.
+   * @param {number} [ttl=3600000] - The validity period of the token in milliseconds.
+   * @returns {Promise<{item: {token: string, expires_at: Date}}>} - A Promise that resolves with an object containing the token and its expiry.
+   * @throws {Error} - Throws an error if the TTL is invalid or no user matches the email address.
+   */
+  async createPasswordResetToken (email, ttl = 3600000) {
+    if (!Number.isFinite(ttl) || ttl <= 0) {
+      throw new Error('TTL must be a positive number of milliseconds.');
+    }
+    const user = await this.db.collection(this.usersCollectionName).findOne({ email }, { projection: { _id: 1 } });
+    if (!user) {
+      throw new Error('User not found.');
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttl);
+    const passwordResetsCollection = this.db.collection(this.passwordResetsCollectionName);
+    await passwordResetsCollection.deleteMany({ user_id: user._id });
+    await passwordResetsCollection.insertOne({
+      user_id: user._id,
+      hashed_token: hashPasswordResetToken(token),
+      created_at: now,
+      expires_at: expiresAt
+    });
+    return { item: { token, expires_at: expiresAt } };
+  }
+
+  /**
+   * Sets a new password for the user of a password reset token and consumes the token.
+   * The token is only consumed once the new password is accepted, and resetting the password also lifts a login lockout.
+   *
+   * @async
+   * @function resetPasswordWithToken
+   * @param {string} token - The token returned by createPasswordResetToken.
+   * @param {string} newPassword - The new password.
+   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the updated user item (excluding sensitive information).
+   * @throws {Error} - Throws an error if the token is invalid, expired or already used, if the new password is rejected, or if the operation fails.
+   */
+  async resetPasswordWithToken (token, newPassword) {
+    if (!token || typeof token !== 'string') {
+      throw new Error('Invalid or expired password reset token.');
+    }
+    validatePassword(newPassword, this.passwordPolicy);
+
+    const passwordResetsCollection = this.db.collection(this.passwordResetsCollectionName);
+    // The TTL monitor only runs periodically, so expired tokens are also filtered out here.
+    const passwordReset = await passwordResetsCollection.findOne({ hashed_token: hashPasswordResetToken(token), expires_at: { $gt: new Date() } });
+    if (!passwordReset) {
+      throw new Error('Invalid or expired password reset token.');
+    }
+    const usersCollection = this.db.collection(this.usersCollectionName);
+    const user = await usersCollection.findOne({ _id: passwordReset.user_id });
+    if (!user) {
+      throw new Error('Invalid or expired password reset token.');
+    }
+    const update = await this.buildPasswordUpdate(user, newPassword);
+
+    // Deleting the token before the update makes it single-use, even when the same token is redeemed concurrently.
+    const { deletedCount } = await passwordResetsCollection.deleteOne({ _id: passwordReset._id });
+    if (deletedCount === 0) {
+      throw new Error('Invalid or expired password reset token.');
+    }
+    await usersCollection.updateOne(
+      { _id: user._id },
+      { $set: update, $unset: { failed_login_attempts: '', locked_until: '' } }
+    );
+    await passwordResetsCollection.deleteMany({ user_id: user._id });
+
+    const returnUser = { ...user, id: user._id.toString() };
+    delete returnUser._id;
+    delete returnUser.hashed_password;
+    delete returnUser.password_history;
+    delete returnUser.failed_login_attempts;
+    delete returnUser.locked_until;
+
+    return { item: returnUser };
+  }
+
+  /**
+   * Deletes a user record from the database.
+   *
+   * @async
+   * @function deleteUser
+   * @param {string} id - The unique ID of the user to be deleted.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object upon successful deletion of the user.
+   * @throws {Error} - Throws an error if no user is found with the given ID or if the database operation fails.
+   */
+  async deleteUser (id) {
+    const objectId = new ObjectId(id);
+    const result = await this.db.collection(this.usersCollectionName).deleteOne({ _id: objectId });
+    if (result.deletedCount === 0) {
+      throw new Error('User not found.');
+    }
+    await this.db.collection(this.issuesCollectionName).updateMany({ assignee: id }, { $unset: { assignee: '' } });
+    await this.db.collection(this.passwordResetsCollectionName).deleteMany({ user_id: objectId });
+    return {};
+  }
+
+  /**
+   * Deletes all log entries from the database, archiving them first when an archive directory is configured.
+   *
+   * @async
+   * @function DeleteAllLogs
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object upon successful deletion of all logs.
+   */
+  async deleteAllLogs () {
+    if (this.archiveDirectory) {
+      await this.removeLogs({});
+    }
+    const session = this.client.startSession();
+    await session.withTransaction(async () => {
+      await this.db.collection(this.logsCollectionName).drop();
+      await this.ensureCollections();
+      await this.ensureLogsTTL();
+    });
+    await session.endSession();
+    return {};
+  }
+}
+
+/**
+ * Parses a line of NDJSON, as written to the spill file and to archives, back into a log entry.
+ *
+ * @param {string} line - A JSON-encoded log entry.
+ * @returns {Log|null} - The log entry, or null if the line is malformed.
+ */
+function parseLogLine (line) {
+  try {
+    const log = JSON.parse(line);
+    if (log._id) log._id = new ObjectId(log._id);
+    if (log.timestamp) log.timestamp = new Date(log.timestamp);
+    return log;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Builds the query for the hostnames, level_json, errsole_id, fingerprint, meta and timestamp filters shared by the log queries.
+ *
+ * @param {LogFilter} filters - The filters to apply.
+ * @returns {Object} - The query.
+ */
+function buildLogsFilterQuery (filters) {
+  const query = {};
+  if (filters.hostnames && filters.hostnames.length > 0) {
+    query.hostname = { $in: filters.hostnames };
+  }
+  const orConditions = [];
+  if (filters.level_json && filters.level_json.length > 0) {
+    orConditions.push(...filters.level_json.map(levelObj => ({ source: levelObj.source, level: levelObj.level })));
+  }
+  if (filters.errsole_id) {
+    orConditions.push({ errsole_id: Number(filters.errsole_id) });
+  }
+  if (orConditions.length > 0) {
+    query.$or = orConditions;
+  }
+  if (filters.fingerprint) {
+    query.fingerprint = filters.fingerprint;
+  }
+  if (filters.metaFilters) {
+    Object.assign(query, buildMetaFilterQuery(filters.metaFilters));
+  }
+  if (filters.lte_timestamp || filters.gte_timestamp) {
+    query.timestamp = {};
+    if (filters.lte_timestamp) {
+      query.timestamp.$lte = new Date(filters.lte_timestamp);
+    }
+    if (filters.gte_timestamp) {
+      query.timestamp.$gte = new Date(filters.gte_timestamp);
+    }
+  }
+  return query;
+}
+
+/**
+ * Parses the meta data of a log entry so that JSON objects can be stored as the meta_fields sub-document, to be filtered and indexed.
+ * Other values, and objects with keys that MongoDB treats as operators or paths, have no meta fields.
+ *
+ * @param {string} meta - The meta data of the log entry.
+ * @returns {Object|undefined} - The parsed object, or undefined if the meta is not a JSON object with safe keys.
+ */
+function parseLogMeta (meta) {
+  let parsed;
+  try {
+    parsed = JSON.parse(meta);
+  } catch (err) {
+    return undefined;
+  }
+  const hasSafeKeys = value => {
+    if (Array.isArray(value)) {
+      return value.every(hasSafeKeys);
+    }
+    if (value === null || typeof value !== 'object') {
+      return true;
+    }
+    return Object.keys(value).every(key => key !== '' && !key.startsWith('$') && !key.includes('.') && hasSafeKeys(value[key]));
+  };
+  return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) && hasSafeKeys(parsed) ? parsed : undefined;
+}
+
+/**
+ * Maps a path of the JSON meta, with or without the 'meta.' prefix, to the path of the stored meta_fields sub-document.
+ *
+ * @param {string} metaPath - The meta path, e.g. 'meta.requestId' or 'requestId'.
+ * @returns {string} - The stored path, e.g. 'meta_fields.requestId'.
+ */
+function getMetaFieldsPath (metaPath) {
+  return `meta_fields.${metaPath.startsWith('meta.') ? metaPath.slice('meta.'.length) : metaPath}`;
+}
+
+/**
+ * Builds the query conditions for meta filters. Paths may omit the 'meta.' prefix. Conditions are values to match
+ * or objects of comparison operators ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin and $exists).
+ *
+ * @param {Object<string, *>} metaFilters - The conditions by meta path.
+ * @returns {Object} - The query conditions.
+ * @throws {Error} - Throws an error if a path or an operator is not supported.
+ */
+function buildMetaFilterQuery (metaFilters) {
+  const query = {};
+  Object.entries(metaFilters).forEach(([key, condition]) => {
+    const metaPath = getMetaFieldsPath(key);
+    if (!/^meta_fields(\.[^.$\s][^.\s]*)+$/.test(metaPath)) {
+      throw new Error(`Invalid meta filter path: ${key}.`);
+    }
+    const isOperatorObject = condition !== null && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date) &&
+      Object.keys(condition).some(operator => operator.startsWith('$'));
+    if (isOperatorObject) {
+      const unsupportedOperator = Object.keys(condition).find(operator => !metaFilterOperators.includes(operator));
+      if (unsupportedOperator) {
+        throw new Error(`Unsupported meta filter operator: ${unsupportedOperator}.`);
+      }
+    }
+    query[metaPath] = condition;
+  });
+  return query;
+}
+
+/**
+ * Reads the entries of an NDJSON stream. Lines that are not valid JSON are yielded as null.
+ *
+ * @param {Readable} stream - The NDJSON stream.
+ * @returns {AsyncGenerator<Object|null>} - The parsed entries.
+ */
+async function * readNdjsonEntries (stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      yield JSON.parse(line);
+    } catch (err) {
+      yield null;
+    }
+  }
+}
+
+/**
+ * Reads the entries of a CSV stream whose first record holds the column names. Empty fields are kept as empty strings,
+ * since they may be empty values such as messages.
+ *
+ * @param {Readable} stream - The CSV stream.
+ * @returns {AsyncGenerator<Object>} - The parsed entries.
+ */
+async function * readCsvEntries (stream) {
+  let columns;
+  for await (const record of parseCsvRecords(stream)) {
+    if (record.length === 1 && record[0] === '') {
+      continue;
+    }
+    if (!columns) {
+      columns = record;
+      continue;
+    }
+    const entry = {};
+    columns.forEach((column, index) => {
+      entry[column] = record[index] !== undefined ? record[index] : '';
+    });
+    yield entry;
+  }
+}
+
+/**
+ * Splits a CSV stream into records, handling quoted fields that contain commas, quotes and line breaks.
+ *
+ * @param {Readable} stream - The CSV stream.
+ * @returns {AsyncGenerator<string[]>} - The records as arrays of fields.
+ */
+async function * parseCsvRecords (stream) {
+  const decoder = new StringDecoder('utf8');
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let pendingQuote = false;
+  let pendingCarriageReturn = false;
+
+  for await (const chunk of stream) {
+    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    for (const char of text) {
+      if (pendingCarriageReturn) {
+        pendingCarriageReturn = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+      if (inQuotes) {
+        if (pendingQuote) {
+          pendingQuote = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (char === '"') {
+          pendingQuote = true;
+          continue;
+        } else {
+          field += char;
+          continue;
+        }
+      }
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        record.push(field);
+        yield record;
+        record = [];
+        field = '';
+        pendingCarriageReturn = char === '\r';
+      } else {
+        field += char;
+      }
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    yield record;
+  }
+}
+
+/**
+ * Validates an imported entry against the Log shape and converts it into a log entry.
+ *
+ * @param {Object|null} entry - The imported entry.
+ * @param {boolean} preserveTimestamps - Whether to keep the timestamp of the entry instead of using the current time.
+ * @returns {Log|null} - The log entry, or null if the entry is invalid.
+ */
+function normalizeImportedLog (entry, preserveTimestamps) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return null;
+  }
+  const { hostname, source, level, message } = entry;
+  if (![hostname, source, level, message].every(value => typeof value === 'string') || !level) {
+    return null;
+  }
+  const log = { hostname, source, level, message };
+
+  // new Date() turns null and '' into valid dates, so only strings, numbers and dates are accepted as timestamps.
+  const isTimestamp = (typeof entry.timestamp === 'string' && entry.timestamp !== '') || typeof entry.timestamp === 'number' || entry.timestamp instanceof Date;
+  log.timestamp = preserveTimestamps ? new Date(entry.timestamp) : new Date();
+  if (!isTimestamp || isNaN(new Date(entry.timestamp))) {
+    return null;
+  }
+  // CSV exports write missing numbers as empty fields.
+  for (const field of ['pid', 'errsole_id']) {
+    if (entry[field] !== undefined && entry[field] !== null && entry[field] !== '') {
+      log[field] = Number(entry[field]);
+      if (isNaN(log[field])) {
+        return null;
+      }
+    }
+  }
+  if (entry.meta !== undefined && entry.meta !== null) {
+    if (typeof entry.meta !== 'string' && typeof entry.meta !== 'object') {
+      return null;
+    }
+    log.meta = entry.meta;
+  }
+
+  const id = entry.id !== undefined ? entry.id : entry._id;
+  if (typeof id === 'string' && /^[0-9a-f]{24}$/i.test(id)) {
+    log._id = new ObjectId(id);
+  }
+  return log;
+}
+
+/**
+ * Builds the query that finds stored log entries with the same content as a log entry.
+ *
+ * @param {Log} log - The log entry.
+ * @returns {Object} - The query.
+ */
+function getLogContentQuery (log) {
+  const query = { timestamp: log.timestamp, hostname: log.hostname, source: log.source, level: log.level, message: log.message };
+  if (log.pid !== undefined) {
+    query.pid = log.pid;
+  }
+  return query;
+}
+
+/**
+ * Builds a key identifying the content of a log entry.
+ *
+ * @param {Log} log - The log entry.
+ * @returns {string} - The key.
+ */
+function getLogContentKey (log) {
+  return JSON.stringify([new Date(log.timestamp).getTime(), log.hostname, log.pid, log.source, log.level, log.message]);
+}
+
+/**
+ * Formats a value as a CSV field, quoting it when needed.
+ *
+ * @param {*} value - The value to format.
+ * @returns {string} - The CSV field.
+ */
+function formatCsvValue (value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Lists the archive files in a directory and its subdirectories, in path order.
+ *
+ * @param {string} directory - The directory to search.
+ * @returns {Promise<string[]>} - The paths of the archive files.
+ */
+async function findArchiveFiles (directory) {
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  const filePaths = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      filePaths.push(...await findArchiveFiles(entryPath));
+    } else if (entry.name.endsWith('.ndjson.gz')) {
+      filePaths.push(entryPath);
+    }
+  }
+  return filePaths;
+}
+
+/**
+ * Builds the query that selects the log entries a retention rule applies to.
+ *
+ * @param {RetentionRule} rule - The retention rule.
+ * @returns {{source?: string, level?: string}} - The query.
+ */
+function getRetentionRuleSelector (rule) {
+  const selector = {};
+  if (rule.source) selector.source = rule.source;
+  if (rule.level) selector.level = rule.level;
+  return selector;
+}
+
+/**
+ * Computes the fingerprint of a log entry, so that occurrences of the same error share it.
+ *
+ * @param {Log} log - The log entry.
+ * @returns {string} - The hex-encoded SHA-1 hash of the source, level and normalized message.
+ */
+function getLogFingerprint (log) {
+  return crypto.createHash('sha1')
+    .update(`${log.source}\n${log.level}\n${normalizeLogMessage(String(log.message || ''))}`)
+    .digest('hex');
+}
+
+/**
+ * Normalizes a log message by replacing the parts that change between occurrences of the same error:
+ * timestamps, ids, numbers, and the file paths and positions of stack frames.
+ *
+ * @param {string} message - The log message.
+ * @returns {string} - The normalized message.
+ */
+function normalizeLogMessage (message) {
+  return message
+    .split('\n')
+    .map(line => line
+      .replace(/^(\s*at\s+)(.+?)\s+\(.*\)\s*$/, '$1$2')
+      .replace(/^(\s*at\s+)\S+:\d+(:\d+)?\s*$/, '$1<anonymous>')
+      .trimEnd())
+    .join('\n')
+    .replace(/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<id>')
+    .replace(/\b0x[0-9a-f]+\b/gi, '<id>')
+    .replace(/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<id>')
+    .replace(/\d+(\.\d+)?/g, '<number>')
+    .trim();
+}
+
+/**
+ * Parses a structured search query into a MongoDB filter. The query supports field qualifiers
+ * (hostname or host, source, level, errsole_id, pid and message), negation with a leading '-' or NOT,
+ * OR groups with parentheses, '*' wildcards, "quoted phrases" and /regular expressions/.
+ * Terms without a qualifier match the message. Terms are combined with AND unless separated by OR.
+ *
+ * @param {string} query - The search query, e.g. 'level:error host:api-* -message:"healthcheck"'.
+ * @param {Object} [options]
+ * @param {boolean} [options.textSearch=false] - Whether to match the plain message terms of the top-level AND group with the text index.
+ * @returns {{text?: string, filter?: Object}} - The $text search string and the filter for the other terms.
+ * @throws {Error} - Throws an error describing the position of the problem if the query is malformed.
+ */
+function parseSearchQuery (query, { textSearch = false } = {}) {
+  const tokens = tokenizeSearchQuery(query);
+  if (tokens.length === 0) {
+    return {};
+  }
+  let index = 0;
+
+  const unexpected = token => token
+    ? new Error(`Unexpected "${token.text}" at position ${token.position}.`)
+    : new Error('Unexpected end of search query.');
+  const parseUnary = () => {
+    const token = tokens[index];
+    if (token && token.type === 'not') {
+      index++;
+      return { type: 'not', clause: parseUnary() };
+    }
+    if (token && token.type === '(') {
+      index++;
+      const clause = parseOr();
+      if (!tokens[index] || tokens[index].type !== ')') {
+        throw new Error(`Missing closing parenthesis for the group at position ${token.position}.`);
+      }
+      index++;
+      return clause;
+    }
+    if (token && token.type === 'term') {
+      index++;
+      return token;
+    }
+    throw unexpected(token);
+  };
+  const parseAnd = () => {
+    const clauses = [parseUnary()];
+    while (tokens[index] && !['or', ')'].includes(tokens[index].type)) {
+      if (tokens[index].type === 'and') {
+        index++;
+      }
+      clauses.push(parseUnary());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'and', clauses };
+  };
+  const parseOr = () => {
+    const clauses = [parseAnd()];
+    while (tokens[index] && tokens[index].type === 'or') {
+      index++;
+      clauses.push(parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'or', clauses };
+  };
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw unexpected(tokens[index]);
+  }
+
+  // Plain message terms that every result must contain can use the text index; everything else needs a filter.
+  const clauses = tree.type === 'and' ? tree.clauses : [tree];
+  const isTextTerm = clause => textSearch && clause.type === 'term' && !clause.field &&
+    (clause.kind === 'phrase' || (clause.kind === 'word' && !clause.value.includes('*'))) && !clause.value.includes('"');
+  const textTerms = clauses.filter(isTextTerm);
+  const filters = clauses.filter(clause => !isTextTerm(clause)).map(compileSearchNode);
+
+  const result = {};
+  if (textTerms.length > 0) {
+    result.text = textTerms.map(term => `"${term.value}"`).join(' ');
+  }
+  if (filters.length > 0) {
+    result.filter = filters.length === 1 ? filters[0] : { $and: filters };
+  }
+  return result;
+}
+
+/**
+ * Splits a search query into parentheses, operators and terms.
+ *
+ * @param {string} query - The search query.
+ * @returns {Object[]} - The tokens with their positions in the query.
+ * @throws {Error} - Throws an error if a phrase or regular expression is not terminated or a qualifier has no value.
+ */
+function tokenizeSearchQuery (query) {
+  const tokens = [];
+  let position = 0;
+  while (position < query.length) {
+    const char = query[position];
+    if (/\s/.test(char)) {
+      position++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, text: char, position });
+      position++;
+    } else if (char === '-' && /[^\s)]/.test(query[position + 1] || ' ')) {
+      tokens.push({ type: 'not', text: char, position });
+      position++;
+    } else {
+      const start = position;
+      // Only known fields are qualifiers, so that messages such as "TypeError: ..." or URLs can be searched as they are.
+      let qualifier = /^([a-z_]+):/i.exec(query.slice(position));
+      if (qualifier && !searchQueryFields[qualifier[1].toLowerCase()]) {
+        qualifier = null;
+      }
+      if (qualifier) {
+        position += qualifier[0].length;
+      }
+      const term = readSearchValue(query, position);
+      if (term.value === '' && term.kind === 'word') {
+        throw new Error(`Missing value for ${qualifier[1]} at position ${start}.`);
+      }
+      position = term.end;
+      if (!qualifier && term.kind === 'word' && ['OR', 'AND', 'NOT'].includes(term.value)) {
+        tokens.push({ type: term.value.toLowerCase(), text: term.value, position: start });
+      } else {
+        tokens.push({ type: 'term', field: qualifier ? qualifier[1].toLowerCase() : undefined, value: term.value, kind: term.kind, position: start });
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Reads a word, a "quoted phrase" or a /regular expression/ from a search query.
+ * Backslashes escape quotes in phrases and slashes in regular expressions.
+ *
+ * @param {string} query - The search query.
+ * @param {number} position - The position of the value in the query.
+ * @returns {{value: string, kind: 'word'|'phrase'|'regex', end: number}} - The value, its kind and the position after it.
+ * @throws {Error} - Throws an error if a phrase or regular expression is not terminated.
+ */
+function readSearchValue (query, position) {
+  const delimiter = query[position];
+  if (delimiter !== '"' && delimiter !== '/') {
+    const [word] = /^[^\s()]*/.exec(query.slice(position));
+    return { value: word, kind: 'word', end: position + word.length };
+  }
+  let value = '';
+  for (let index = position + 1; index < query.length; index++) {
+    if (query[index] === '\\' && index + 1 < query.length) {
+      const escaped = query[++index];
+      value += delimiter === '/' && escaped !== '/' ? `\\${escaped}` : escaped;
+    } else if (query[index] === delimiter) {
+      return { value, kind: delimiter === '"' ? 'phrase' : 'regex', end: index + 1 };
+    } else {
+      value += query[index];
+    }
+  }
+  throw new Error(`Unterminated ${delimiter === '"' ? 'phrase' : 'regular expression'} at position ${position}.`);
+}
+
+/**
+ * Converts a parsed search query node into a MongoDB filter.
+ *
+ * @param {Object} node - The AND, OR or NOT group, or the term.
+ * @returns {Object} - The MongoDB filter.
+ * @throws {Error} - Throws an error if a term uses an invalid value.
+ */
+function compileSearchNode (node) {
+  if (node.type === 'and') {
+    return { $and: node.clauses.map(compileSearchNode) };
+  }
+  if (node.type === 'or') {
+    return { $or: node.clauses.map(compileSearchNode) };
+  }
+  if (node.type === 'not') {
+    return { $nor: [compileSearchNode(node.clause)] };
+  }
+
+  const { field = 'message', value, kind, position } = node;
+  const path = searchQueryFields[field];
+  if (path === 'errsole_id' || path === 'pid') {
+    if (kind === 'regex' || !/^\d+$/.test(value)) {
+      throw new Error(`Invalid value for ${field} at position ${position}: expected a number.`);
+    }
+    return { [path]: Number(value) };
+  }
+  if (kind === 'regex') {
+    try {
+      RegExp(value);
+    } catch (err) {
+      throw new Error(`${err.message} at position ${position}.`);
+    }
+    return { [path]: { $regex: value } };
+  }
+  // Messages match terms anywhere, case-insensitively; the other fields match whole values.
+  const pattern = kind === 'word' ? value.split('*').map(escapeRegExp).join('.*') : escapeRegExp(value);
+  if (path === 'message') {
+    return { message: { $regex: pattern, $options: 'i' } };
+  }
+  return kind === 'word' && value.includes('*') ? { [path]: { $regex: `^${pattern}$` } } : { [path]: value };
+}
+
+/**
+ * Encodes the state of a logs page as an opaque cursor.
+ *
+ * @param {Object} state - The method, direction, sort fields, sort values of the boundary entry and filters.
+ * @returns {string} - The base64url-encoded cursor.
+ */
+function encodeLogsCursor ({ values, ...state }) {
+  const encodedValues = values.map(value => value instanceof Date ? value.toISOString() : String(value));
+  return Buffer.from(JSON.stringify({ ...state, values: encodedValues })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor built by encodeLogsCursor, restoring the dates and ids it contains.
+ *
+ * @param {string} cursor - The cursor.
+ * @param {string} method - The name of the method the cursor is passed to.
+ * @returns {Object} - The method, direction, sort fields, sort values and filters of the cursor.
+ * @throws {Error} - Throws an error if the cursor is malformed or was built by another method.
+ */
+function decodeLogsCursor (cursor, method) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (err) {
+    throw new Error('Invalid cursor.');
+  }
+  const isValid = state && state.method === method && ['older', 'newer'].includes(state.direction) &&
+    Array.isArray(state.sort) && state.sort.length > 0 && state.sort.every(field => ['timestamp', '_id'].includes(field)) &&
+    Array.isArray(state.values) && state.values.length === state.sort.length && state.filters && typeof state.filters === 'object';
+  if (!isValid) {
+    throw new Error('Invalid cursor.');
+  }
+  state.values = state.sort.map((field, index) => field === 'timestamp' ? new Date(state.values[index]) : new ObjectId(state.values[index]));
+  for (const field of ['lte_timestamp', 'gte_timestamp']) {
+    if (state.filters[field]) {
+      state.filters[field] = new Date(state.filters[field]);
+    }
+  }
+  return state;
+}
+
+/**
+ * Builds the condition that selects the entries after a boundary entry in a sort order.
+ *
+ * @param {string[]} sortFields - The sort fields, most significant first.
+ * @param {Array} values - The values of the sort fields in the boundary entry.
+ * @param {'$lt'|'$gt'} operator - The comparison operator of the direction.
+ * @returns {Object} - The query condition.
+ */
+function getKeysetCondition (sortFields, values, operator) {
+  const conditions = sortFields.map((field, index) => {
+    const condition = {};
+    sortFields.slice(0, index).forEach((equalField, equalIndex) => {
+      condition[equalField] = values[equalIndex];
+    });
+    condition[field] = { [operator]: values[index] };
+    return condition;
+  });
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
+
+/**
+ * Prefixes the field paths of a query, including those inside $and, $or and $nor conditions.
+ *
+ * @param {Object} query - The query.
+ * @param {string} prefix - The path of the sub-document the query applies to, e.g. 'fullDocument'.
+ * @returns {Object} - The prefixed query.
+ */
+function prefixQueryFields (query, prefix) {
+  return Object.fromEntries(Object.entries(query).map(([key, value]) => ['$and', '$or', '$nor'].includes(key)
+    ? [key, value.map(condition => prefixQueryFields(condition, prefix))]
+    : [`${prefix}.${key}`, value]));
+}
+
+/**
+ * Checks a password against a password policy.
+ *
+ * @param {string} password - The password.
+ * @param {Object} policy - The password policy.
+ * @throws {Error} - Throws an error describing the first rule the password breaks.
+ */
+function validatePassword (password, policy) {
+  if (typeof password !== 'string' || !password) {
+    throw new Error('Password must be provided.');
+  }
+  if (password.length < policy.minLength) {
+    throw new Error(`Password must be at least ${policy.minLength} characters long.`);
+  }
+  const characterClasses = [
+    ['requireLowercase', /[a-z]/, 'a lowercase letter'],
+    ['requireUppercase', /[A-Z]/, 'an uppercase letter'],
+    ['requireDigit', /[0-9]/, 'a digit'],
+    ['requireSymbol', /[^a-zA-Z0-9]/, 'a symbol']
+  ];
+  for (const [rule, pattern, description] of characterClasses) {
+    if (policy[rule] && !pattern.test(password)) {
+      throw new Error(`Password must contain ${description}.`);
+    }
+  }
+}
+
+/**
+ * Hashes a password reset token for storage. The tokens are random, so a fast hash suffices and lets the token be looked up.
+ *
+ * @param {string} token - The token.
+ * @returns {string} - The hex-encoded SHA-256 hash of the token.
+ */
+function hashPasswordResetToken (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Escapes the characters that have a special meaning in regular expressions.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeRegExp (text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Estimates the memory footprint of a log entry.
+ *
+ * @param {Log} log - The log entry.
+ * @returns {number} - The estimated size in bytes.
+ */
+function getLogSize (log) {
+  const meta = typeof log.meta === 'string' ? log.meta : JSON.stringify(log.meta) || '';
+  return 200 + Buffer.byteLength(String(log.message || '')) + Buffer.byteLength(meta);
+}
+
+/**
+ * Splits log entries into batches whose number of entries and estimated size do not exceed the given limits.
+ *
+ * @param {Log[]} logs - The log entries to split.
+ * @param {number} maxCount - The maximum number of entries in a batch.
+ * @param {number} maxBytes - The maximum estimated size of a batch in bytes, or 0 for no limit.
+ * @returns {Log[][]} - The batches of log entries.
+ */
+function splitLogsIntoBatches (logs, maxCount, maxBytes) {
+  const batches = [];
+  let batch = [];
+  let batchBytes = 0;
+  for (const log of logs) {
+    const size = maxBytes ? getLogSize(log) : 0;
+    if (batch.length >= maxCount || (maxBytes && batch.length > 0 && batchBytes + size > maxBytes)) {
+      batches.push(batch);
+      batch = [];
+      batchBytes = 0;
+    }
+    batch.push(log);
+    batchBytes += size;
+  }
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+/**
+ * Checks whether a process is running on this host.
+ *
+ * @param {number} pid - The process id.
+ * @returns {boolean} - True unless no process with the id exists.
+ */
+function isProcessRunning (pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM means the process exists but belongs to another user.
+    return err.code !== 'ESRCH';
+  }
+}
+
+/**
+ * Checks whether a connection error is caused by the configuration, such as an invalid connection string or wrong credentials,
+ * so that retrying cannot succeed.
+ *
+ * @param {Error} err - The connection error.
+ * @returns {boolean} - True if the connection should not be retried.
+ */
+function isPermanentConnectionError (err) {
+  return ['MongoParseError', 'MongoInvalidArgumentError', 'MongoMissingCredentialsError'].includes(err.name) ||
+    err.code === authenticationFailedCode;
+}
+
+/**
+ * Calculates the delay before a retry using exponential backoff with jitter.
+ *
+ * @param {number} attempt - The number of the attempt that failed, starting at 1.
+ * @param {number} baseDelay - The delay (in milliseconds) after the first failed attempt.
+ * @param {number} maxDelay - The maximum delay (in milliseconds).
+ * @returns {number} - The delay in milliseconds.
+ */
+function getRetryDelay (attempt, baseDelay, maxDelay) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Follows new log entries through a change stream, or by polling for entries with greater ids, and retries after failures.
+ * Emits 'log' for each new entry, 'reconnecting' before each retry and 'close' once closed. Fatal errors are emitted as 'error' and close the tail.
+ */
+class LogTail extends EventEmitter {
+  constructor (db, collectionName, query, { resumeAfter, pollInterval, retryDelay, retryMaxDelay }) {
+    super();
+    this.db = db;
+    this.collectionName = collectionName;
+    this.query = query;
+    this.resumeToken = resumeAfter;
+    this.pollInterval = pollInterval;
+    this.retryDelay = retryDelay;
+    this.retryMaxDelay = retryMaxDelay;
+    this.projection = { meta: 0, meta_fields: 0, metadata: 0 };
+    this.retryAttempt = 0;
+    this.isClosed = false;
+  }
+
+  start (useChangeStream) {
+    if (this.isClosed) return;
+    if (useChangeStream) {
+      this.watch();
+    } else {
+      if (this.resumeToken && !this.resumeToken.lastId) {
+        this.fail(new Error('The resume token of a change stream cannot be used without change streams.'));
+        return;
+      }
+      this.lastId = this.resumeToken ? new ObjectId(this.resumeToken.lastId) : undefined;
+      this.poll();
+    }
+  }
+
+  watch () {
+    const projection = Object.fromEntries(Object.entries(this.projection).map(([field, value]) => [`fullDocument.${field}`, value]));
+    const pipeline = [
+      { $match: { operationType: 'insert', ...prefixQueryFields(this.query, 'fullDocument') } },
+      { $project: projection }
+    ];
+    this.changeStream = this.db.collection(this.collectionName).watch(pipeline, this.resumeToken ? { resumeAfter: this.resumeToken } : {});
+    this.changeStream.on('change', change => {
+      this.resumeToken = change._id;
+      this.retryAttempt = 0;
+      this.emitLog(change.fullDocument);
+    });
+    // The driver resumes after transient errors by itself; other errors restart the change stream from the last resume token.
+    this.changeStream.on('error', err => {
+      this.changeStream.close().catch(() => {});
+      this.retry(err, () => this.watch());
+    });
+  }
+
+  async poll () {
+    const collection = this.db.collection(this.collectionName);
+    const batchSize = 100;
+    try {
+      if (this.lastId === undefined) {
+        const [latest] = await collection.find({}, { projection: { _id: 1 } }).sort({ _id: -1 }).limit(1).toArray();
+        this.lastId = latest ? latest._id : null;
+      }
+      const query = this.lastId ? { $and: [this.query, { _id: { $gt: this.lastId } }] } : this.query;
+      const documents = await collection.find(query, { projection: this.projection }).sort({ _id: 1 }).limit(batchSize).toArray();
+      if (this.isClosed) return;
+      documents.forEach(doc => {
+        this.lastId = doc._id;
+        this.resumeToken = { lastId: doc._id.toString() };
+        this.emitLog(doc);
+      });
+      this.retryAttempt = 0;
+      this.pollTimer = setTimeout(() => this.poll(), documents.length === batchSize ? 0 : this.pollInterval);
+    } catch (err) {
+      this.retry(err, () => this.poll());
+    }
+  }
+
+  retry (error, callback) {
+    if (this.isClosed) return;
+    this.retryAttempt++;
+    const delay = getRetryDelay(this.retryAttempt, this.retryDelay, this.retryMaxDelay);
+    this.emit('reconnecting', { attempt: this.retryAttempt, delay, error });
+    this.retryTimer = setTimeout(callback, delay);
+  }
+
+  emitLog (doc) {
+    const { _id, ...rest } = doc;
+    this.emit('log', { id: _id.toString(), ...rest });
+  }
+
+  fail (err) {
+    if (this.isClosed) return;
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    } else {
+      console.error(err);
+    }
+    this.close();
+  }
+
+  async close () {
+    if (this.isClosed) return {};
+    this.isClosed = true;
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.retryTimer);
+    if (this.changeStream) {
+      await this.changeStream.close().catch(() => {});
+    }
+    this.emit('close');
+    return {};
+  }
+
+  async * [Symbol.asyncIterator] () {
+    if (this.isClosed) return;
+    // events.on() only supports the close option from Node 20, so closing the tail aborts the iteration instead.
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    this.once('close', abort);
+    try {
+      for await (const [log] of on(this, 'log', { signal: controller.signal })) {
+        yield log;
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') throw err;
+    } finally {
+      this.off('close', abort);
+    }
   }
 }
 
@@ -2,6 +2,13 @@ const { MongoClient, ObjectId } = require('mongodb');
 const ErrsoleMongoDB = require('./../lib/index');
 const cron = require('node-cron');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
 
 /* globals expect, jest, beforeEach, it, afterEach, describe */
 
@@ -29,7 +36,8 @@ jest.mock('mongodb', () => ({
 
 jest.mock('bcryptjs', () => ({
   hash: jest.fn(),
-  compare: jest.fn()
+  compare: jest.fn(),
+  getRounds: jest.fn()
 }));
 
 const mockLogsCollection = {
@@ -43,6 +51,13 @@ const mockLogsCollection = {
   countDocuments: jest.fn(),
   deleteMany: jest.fn(),
   drop: jest.fn(),
+  estimatedDocumentCount: jest.fn(),
+  bulkWrite: jest.fn(),
+  updateMany: jest.fn(),
+  watch: jest.fn(),
+  aggregate: jest.fn().mockReturnThis(),
+  next: jest.fn(),
+  close: jest.fn(),
   indexes: jest.fn().mockResolvedValue([
     { key: { timestamp: 1 }, expireAfterSeconds: 2592000, name: 'timestamp_1' }
   ]),
@@ -60,10 +75,19 @@ const mockUsersCollection = {
   find: jest.fn().mockReturnThis(),
   countDocuments: jest.fn(),
   updateOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
   deleteOne: jest.fn(),
   toArray: jest.fn()
 };
 
+const mockPasswordResetsCollection = {
+  createIndex: jest.fn(),
+  insertOne: jest.fn(),
+  findOne: jest.fn(),
+  deleteOne: jest.fn(),
+  deleteMany: jest.fn()
+};
+
 const mockNotificationsCollection = {
   createIndex: jest.fn(),
   deleteMany: jest.fn()
@@ -75,6 +99,7 @@ const mockDb = {
     if (name === 'errsole_logs') return mockLogsCollection;
     if (name === 'errsole_users') return mockUsersCollection;
     if (name === 'errsole_notifications') return mockNotificationsCollection;
+    if (name === 'errsole_password_resets') return mockPasswordResetsCollection;
     // Add other collections as needed
     return mockLogsCollection;
   }),
@@ -87,11 +112,13 @@ const mockDb = {
     ])
   }),
   createCollection: jest.fn(),
+  command: jest.fn(),
   client: null
 };
 
 const mockClient = {
   connect: jest.fn(),
+  close: jest.fn(),
   db: jest.fn().mockReturnValue(mockDb),
   startSession: jest.fn().mockReturnValue({
     withTransaction: jest.fn().mockImplementation(async (callback) => {
@@ -137,6 +164,203 @@ describe('ErrsoleMongoDB', () => {
     });
   });
 
+  describe('connect', () => {
+    it('should retry the connection with backoff and emit error, reconnecting and ready events', async () => {
+      const error = new Error('Server selection timed out');
+      mockClient.connect.mockClear().mockRejectedValueOnce(error);
+      const events = [];
+      const connectingErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { connectRetryDelay: 100 });
+      connectingErrsole.on('error', err => events.push(['error', err]));
+      connectingErrsole.on('reconnecting', ({ attempt }) => events.push(['reconnecting', attempt]));
+      connectingErrsole.on('ready', () => events.push(['ready']));
+
+      await jest.advanceTimersByTimeAsync(100);
+      await expect(connectingErrsole.ready()).resolves.toEqual({});
+
+      expect(mockClient.connect).toHaveBeenCalledTimes(2);
+      expect(events).toEqual([['error', error], ['reconnecting', 1], ['ready']]);
+      expect(connectingErrsole.isConnectionInProgress).toBe(false);
+    });
+
+    it('should reject ready() once the retry attempts are exhausted', async () => {
+      const error = new Error('Authentication failed');
+      mockClient.connect.mockRejectedValueOnce(error).mockRejectedValueOnce(error);
+      const connectingErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { connectRetryAttempts: 1, connectRetryDelay: 100 });
+      const onReady = jest.fn();
+      connectingErrsole.on('ready', onReady);
+
+      await jest.advanceTimersByTimeAsync(100);
+
+      await expect(connectingErrsole.ready()).rejects.toBe(error);
+      expect(connectingErrsole.isConnectionInProgress).toBe(false);
+      expect(onReady).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith(error);
+    });
+
+    it('should connect again on the next flush once the retry attempts are exhausted', async () => {
+      const error = new Error('Server selection timed out');
+      mockClient.connect.mockClear().mockRejectedValueOnce(error).mockRejectedValueOnce(error);
+      mockLogsCollection.insertMany.mockResolvedValue({});
+      const connectingErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { connectRetryAttempts: 1, connectRetryDelay: 100, batchSize: 1 });
+      const onReady = jest.fn();
+      connectingErrsole.on('ready', onReady);
+      await jest.advanceTimersByTimeAsync(100);
+      await expect(connectingErrsole.ready()).rejects.toBe(error);
+
+      connectingErrsole.postLogs([{ message: 'log1' }]);
+      await jest.advanceTimersByTimeAsync(0);
+
+      await expect(connectingErrsole.ready()).resolves.toEqual({});
+      expect(mockClient.connect).toHaveBeenCalledTimes(3);
+      expect(onReady).toHaveBeenCalledTimes(1);
+      expect(connectingErrsole.droppedLogsCount).toBe(1);
+
+      connectingErrsole.postLogs([{ message: 'log2' }]);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledWith([expect.objectContaining({ message: 'log2' })], { ordered: false });
+    });
+
+    it('should not connect again after a permanent connection error', async () => {
+      const error = Object.assign(new Error('Invalid scheme'), { name: 'MongoParseError' });
+      mockClient.connect.mockClear().mockRejectedValueOnce(error);
+      const connectingErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { batchSize: 1 });
+      await expect(connectingErrsole.ready()).rejects.toBe(error);
+
+      connectingErrsole.postLogs([{ message: 'log1' }]);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(mockClient.connect).toHaveBeenCalledTimes(1);
+      expect(connectingErrsole.droppedLogsCount).toBe(1);
+      await expect(connectingErrsole.ready()).rejects.toBe(error);
+    });
+
+    it('should not pass connection retry options to the MongoClient', () => {
+      const connectingErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', { connectRetryAttempts: 3, connectRetryDelay: 10, connectRetryMaxDelay: 100 });
+
+      expect(MongoClient).toHaveBeenLastCalledWith('mongodb://localhost:27017', {});
+      expect(connectingErrsole.connectRetryAttempts).toBe(3);
+    });
+
+    it('should give up after 10 retries by default', async () => {
+      const error = new Error('Server selection timed out');
+      mockClient.connect.mockClear().mockRejectedValue(error);
+      const connectingErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { connectRetryDelay: 10, connectRetryMaxDelay: 10 });
+      connectingErrsole.on('error', () => {});
+      const readyPromise = connectingErrsole.ready().catch(err => err);
+
+      await jest.advanceTimersByTimeAsync(100);
+
+      await expect(readyPromise).resolves.toBe(error);
+      expect(mockClient.connect).toHaveBeenCalledTimes(11);
+      mockClient.connect.mockReset();
+    });
+
+    it.each([
+      ['an invalid connection string', Object.assign(new Error('Invalid scheme'), { name: 'MongoParseError' })],
+      ['failed authentication', Object.assign(new Error('Authentication failed.'), { name: 'MongoServerError', code: 18 })]
+    ])('should not retry %s', async (description, error) => {
+      mockClient.connect.mockClear().mockRejectedValueOnce(error);
+      const connectingErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { connectRetryDelay: 100 });
+      const onReconnecting = jest.fn();
+      connectingErrsole.on('error', () => {});
+      connectingErrsole.on('reconnecting', onReconnecting);
+
+      await expect(connectingErrsole.ready()).rejects.toBe(error);
+      expect(mockClient.connect).toHaveBeenCalledTimes(1);
+      expect(onReconnecting).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('close', () => {
+    beforeEach(() => {
+      mockLogsCollection.insertMany.mockResolvedValue({});
+    });
+
+    it('should stop the flush timer, drain pending logs and close the client', async () => {
+      const onClose = jest.fn();
+      errsole.on('close', onClose);
+      errsole.pendingLogs = [{ message: 'log1' }];
+
+      const result = await errsole.close();
+
+      expect(result).toEqual({});
+      expect(jest.getTimerCount()).toBe(0);
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledWith([{ message: 'log1', metadata: { expires: true } }], { ordered: false });
+      expect(errsole.pendingLogs).toEqual([]);
+      expect(mockClient.close).toHaveBeenCalledTimes(1);
+      expect(onClose).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for in-flight flushes before closing the client', async () => {
+      let resolveInsert;
+      mockLogsCollection.insertMany.mockImplementationOnce(() => new Promise(resolve => { resolveInsert = resolve; }));
+      errsole.pendingLogs = [{ message: 'log1' }];
+      const flushLogsPromise = errsole.flushLogs();
+      await Promise.resolve();
+
+      const closePromise = errsole.close();
+      await Promise.resolve();
+      expect(mockClient.close).not.toHaveBeenCalled();
+
+      resolveInsert({});
+      await flushLogsPromise;
+      await closePromise;
+      expect(mockClient.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('should count logs that could not be drained before the timeout as dropped', async () => {
+      errsole.isConnectionInProgress = true;
+      errsole.pendingLogs = [{ message: 'log1' }];
+      errsole.flushLogs = jest.fn(() => new Promise(() => {}));
+
+      const closePromise = errsole.close({ timeoutMs: 50 });
+      await jest.advanceTimersByTimeAsync(50);
+      await closePromise;
+
+      expect(errsole.pendingLogs).toEqual([]);
+      expect(errsole.droppedLogsCount).toBe(1);
+      expect(mockClient.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('should close the client only once when called more than once', async () => {
+      await Promise.all([errsole.close(), errsole.close()]);
+
+      expect(mockClient.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('should register exit handlers with closeOnExit and remove them on close', async () => {
+      const sigtermListeners = process.listenerCount('SIGTERM');
+      const exitingErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { closeOnExit: true });
+
+      expect(process.listenerCount('SIGTERM')).toBe(sigtermListeners + 1);
+      await exitingErrsole.close();
+      expect(process.listenerCount('SIGTERM')).toBe(sigtermListeners);
+    });
+  });
+
+  describe('constructor', () => {
+    it('should use the default batching options', () => {
+      expect(errsole.batchSize).toBe(100);
+      expect(errsole.flushInterval).toBe(1000);
+      expect(errsole.maxBatchBytes).toBe(0);
+      expect(errsole.adaptiveBatching).toBe(false);
+    });
+
+    it('should apply batching options and strip them from the connection options', () => {
+      const options = { batchSize: 50, flushInterval: 5000, maxBatchBytes: 1024, adaptiveBatching: true, minBatchSize: 5, maxBatchSize: 500, maxPoolSize: 5 };
+      const customErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', options);
+
+      expect(MongoClient).toHaveBeenLastCalledWith('mongodb://localhost:27017', { maxPoolSize: 5 });
+      expect(customErrsole.batchSize).toBe(50);
+      expect(customErrsole.flushInterval).toBe(5000);
+      expect(customErrsole.maxBatchBytes).toBe(1024);
+      expect(customErrsole.adaptiveBatching).toBe(true);
+      expect(customErrsole.minBatchSize).toBe(5);
+      expect(customErrsole.maxBatchSize).toBe(500);
+    });
+  });
+
   describe('ensureCollections', () => {
     it('should ensure collections and indexes are created if they do not exist', async () => {
       mockDb.listCollections().toArray.mockResolvedValue([]);
@@ -147,6 +371,7 @@ describe('ErrsoleMongoDB', () => {
       expect(mockDb.createCollection).toHaveBeenCalledWith('errsole_users');
       expect(mockDb.createCollection).toHaveBeenCalledWith('errsole_config');
       expect(mockDb.createCollection).toHaveBeenCalledWith('errsole_notifications');
+      expect(mockDb.createCollection).toHaveBeenCalledWith('errsole_password_resets');
 
       expect(mockDb.collection('errsole_logs_v2').createIndex).toHaveBeenCalledWith(
         expect.objectContaining({ source: 1, level: 1 })
@@ -157,12 +382,97 @@ describe('ErrsoleMongoDB', () => {
       expect(mockDb.collection('errsole_logs_v2').createIndex).toHaveBeenCalledWith(
         expect.objectContaining({ errsole_id: 1 })
       );
+      expect(mockDb.collection('errsole_logs_v2').createIndex).toHaveBeenCalledWith(
+        { restored_at: 1 },
+        { partialFilterExpression: { restored_at: { $exists: true } } }
+      );
 
       expect(mockDb.collection('errsole_users').createIndex).toHaveBeenCalledWith({ email: 1 }, { unique: true });
       expect(mockDb.collection('errsole_config').createIndex).toHaveBeenCalledWith({ key: 1 }, { unique: true });
       expect(mockDb.collection('errsole_notifications').createIndex).toHaveBeenCalledWith(
         expect.objectContaining({ hostname: 1, hashed_message: 1, created_at: 1 })
       );
+      expect(mockPasswordResetsCollection.createIndex).toHaveBeenCalledWith({ hashed_token: 1 }, { unique: true });
+      expect(mockPasswordResetsCollection.createIndex).toHaveBeenCalledWith({ expires_at: 1 }, { expireAfterSeconds: 0 });
+    });
+  });
+
+  describe('time-series logs collection', () => {
+    let timeSeriesErrsole;
+
+    beforeEach(async () => {
+      timeSeriesErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { timeSeriesLogs: true, timeSeriesGranularity: 'minutes' });
+      await timeSeriesErrsole.ready();
+      await jest.advanceTimersByTimeAsync(0);
+      jest.clearAllMocks();
+    });
+
+    it('should create the logs collection as a time-series collection without a text index', async () => {
+      mockDb.listCollections().toArray.mockResolvedValueOnce([]);
+
+      await timeSeriesErrsole.ensureCollections();
+
+      expect(mockDb.createCollection).toHaveBeenCalledWith('errsole_logs_v2', {
+        timeseries: { timeField: 'timestamp', metaField: 'metadata', granularity: 'minutes' }
+      });
+      expect(mockLogsCollection.createIndex).not.toHaveBeenCalledWith({ message: 'text' });
+      expect(timeSeriesErrsole.isTimeSeriesLogsCollection).toBe(true);
+    });
+
+    it('should report an error and keep using an existing regular logs collection', async () => {
+      mockDb.listCollections().toArray.mockResolvedValueOnce([{ name: 'errsole_logs_v2', type: 'collection' }]);
+
+      await timeSeriesErrsole.ensureCollections();
+
+      expect(mockDb.createCollection).not.toHaveBeenCalledWith('errsole_logs_v2', expect.anything());
+      expect(timeSeriesErrsole.isTimeSeriesLogsCollection).toBe(false);
+      expect(console.error).toHaveBeenCalledWith(expect.objectContaining({
+        message: expect.stringContaining('cannot be converted to a time-series collection')
+      }));
+    });
+
+    it('should set the metadata field on inserted logs', async () => {
+      timeSeriesErrsole.isTimeSeriesLogsCollection = true;
+      mockLogsCollection.insertMany.mockResolvedValueOnce({});
+      const logs = [{ hostname: 'host1', source: 'console', level: 'error', message: 'log1' }];
+
+      await timeSeriesErrsole.insertLogs(logs);
+
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledWith([{
+        hostname: 'host1',
+        source: 'console',
+        level: 'error',
+        message: 'log1',
+        fingerprint: expect.any(String),
+        metadata: { hostname: 'host1', source: 'console', level: 'error', expires: true }
+      }], { ordered: false });
+    });
+
+    it('should replace the expireAfterSeconds collection option with a partial TTL index', async () => {
+      timeSeriesErrsole.isTimeSeriesLogsCollection = true;
+      mockDb.listCollections().toArray.mockResolvedValueOnce([{ name: 'errsole_logs_v2', type: 'timeseries', options: { expireAfterSeconds: 2592000 } }]);
+      mockLogsCollection.indexes.mockResolvedValueOnce([]);
+
+      await timeSeriesErrsole.updateLogsCollectionTTL(86400000);
+
+      expect(mockDb.listCollections).toHaveBeenLastCalledWith({ name: 'errsole_logs_v2' });
+      expect(mockDb.command).toHaveBeenCalledWith({ collMod: 'errsole_logs_v2', expireAfterSeconds: 'off' });
+      expect(mockLogsCollection.updateMany).toHaveBeenCalledWith({ 'metadata.expires': { $exists: false } }, { $set: { 'metadata.expires': true } });
+      expect(mockLogsCollection.createIndex).toHaveBeenCalledWith({ timestamp: 1 }, { expireAfterSeconds: 86400, partialFilterExpression: { 'metadata.expires': true } });
+    });
+
+    it('should search messages with regular expressions and exclude the metadata field', async () => {
+      timeSeriesErrsole.isTimeSeriesLogsCollection = true;
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+
+      await timeSeriesErrsole.searchLogs(['user.id', 'failed']);
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({
+        $and: [
+          { message: { $regex: 'user\\.id', $options: 'i' } },
+          { message: { $regex: 'failed', $options: 'i' } }
+        ]
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
     });
   });
 
@@ -364,6 +674,7 @@ describe('ErrsoleMongoDB', () => {
     });
 
     it('should call flushLogs if pendingLogs length reaches batchSize', () => {
+      errsole.isConnectionInProgress = false;
       errsole.batchSize = 2;
       const logEntries = [{ message: 'log1' }, { message: 'log2' }];
       const flushLogsSpy = jest.spyOn(errsole, 'flushLogs').mockImplementation(() => {});
@@ -386,6 +697,117 @@ describe('ErrsoleMongoDB', () => {
     });
   });
 
+  describe('pending logs overflow', () => {
+    let flushLogsSpy;
+
+    beforeEach(() => {
+      errsole.maxPendingLogs = 2;
+      flushLogsSpy = jest.spyOn(errsole, 'flushLogs').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      flushLogsSpy.mockRestore();
+    });
+
+    it('should drop the oldest entries by default', () => {
+      errsole.postLogs([{ message: 'log1' }, { message: 'log2' }, { message: 'log3' }]);
+
+      expect(errsole.pendingLogs).toEqual([{ message: 'log2' }, { message: 'log3' }]);
+      expect(errsole.droppedLogsCount).toBe(1);
+    });
+
+    it('should drop the newest entries with the drop-newest policy', () => {
+      errsole.overflowPolicy = 'drop-newest';
+      errsole.postLogs([{ message: 'log1' }, { message: 'log2' }, { message: 'log3' }]);
+
+      expect(errsole.pendingLogs).toEqual([{ message: 'log1' }, { message: 'log2' }]);
+      expect(errsole.droppedLogsCount).toBe(1);
+    });
+
+    it('should drop entries below the minimum level first with the drop-below-level policy', () => {
+      errsole.overflowPolicy = 'drop-below-level';
+      errsole.postLogs([
+        { level: 'error', message: 'log1' },
+        { level: 'info', message: 'log2' },
+        { level: 'alert', message: 'log3' },
+        { level: 'debug', message: 'log4' }
+      ]);
+
+      expect(errsole.pendingLogs).toEqual([{ level: 'error', message: 'log1' }, { level: 'alert', message: 'log3' }]);
+      expect(errsole.droppedLogsCount).toBe(2);
+    });
+
+    it('should enforce the maximum pending bytes', () => {
+      errsole.maxPendingLogs = 0;
+      errsole.maxPendingBytes = 500;
+      errsole.postLogs([{ message: 'log1' }, { message: 'log2' }, { message: 'log3' }]);
+
+      expect(errsole.pendingLogs).toEqual([{ message: 'log2' }, { message: 'log3' }]);
+      expect(errsole.pendingLogsBytes).toBe(408);
+    });
+
+    it('should block the caller until the pending logs are flushed with the block policy', async () => {
+      errsole.overflowPolicy = 'block';
+      errsole.postLogs([{ message: 'log1' }, { message: 'log2' }]);
+      const postLogsPromise = errsole.postLogs([{ message: 'log3' }]);
+
+      expect(postLogsPromise).toBeInstanceOf(Promise);
+      expect(errsole.pendingLogs).toEqual([{ message: 'log1' }, { message: 'log2' }]);
+
+      errsole.pendingLogs.splice(0, 2);
+      errsole.releaseBlockedPosts();
+
+      await expect(postLogsPromise).resolves.toEqual({});
+      expect(errsole.pendingLogs).toEqual([{ message: 'log3' }]);
+      expect(errsole.droppedLogsCount).toBe(0);
+    });
+
+    describe('while inserts hang', () => {
+      let insertResolvers;
+
+      beforeEach(async () => {
+        flushLogsSpy.mockRestore();
+        await errsole.ready();
+        errsole.batchSize = 2;
+        insertResolvers = [];
+        mockLogsCollection.insertMany.mockImplementation(() => new Promise(resolve => insertResolvers.push(resolve)));
+      });
+
+      afterEach(() => {
+        mockLogsCollection.insertMany.mockReset();
+      });
+
+      it('should count the entries of flushes in flight against the limits', async () => {
+        for (let i = 0; i < 10; i++) {
+          errsole.postLogs([{ message: `log${i}` }]);
+          await jest.advanceTimersByTimeAsync(errsole.flushInterval);
+        }
+
+        expect(mockLogsCollection.insertMany).toHaveBeenCalledTimes(2);
+        expect(errsole.pendingLogs.length + errsole.inFlightLogsCount).toBe(2);
+        expect(errsole.droppedLogsCount).toBe(8);
+      });
+
+      it('should keep blocking callers until the entries in flight are written with the block policy', async () => {
+        errsole.overflowPolicy = 'block';
+        errsole.postLogs([{ message: 'log1' }, { message: 'log2' }]);
+        await jest.advanceTimersByTimeAsync(errsole.flushInterval);
+        const onResolve = jest.fn();
+        errsole.postLogs([{ message: 'log3' }]).then(onResolve);
+
+        await jest.advanceTimersByTimeAsync(errsole.flushInterval * 5);
+        expect(onResolve).not.toHaveBeenCalled();
+        expect(errsole.inFlightLogsCount).toBe(2);
+
+        insertResolvers.forEach(resolve => resolve({}));
+        await jest.advanceTimersByTimeAsync(0);
+        expect(onResolve).toHaveBeenCalledWith({});
+        expect(errsole.inFlightLogsCount).toBe(0);
+        expect(errsole.pendingLogs).toEqual([{ message: 'log3' }]);
+      });
+    });
+  });
+
   describe('flushLogs', () => {
     it('should return immediately if there are no logs to flush', async () => {
       errsole.pendingLogs = [];
@@ -395,19 +817,33 @@ describe('ErrsoleMongoDB', () => {
     });
 
     it('should wait until connection is ready before flushing logs', async () => {
-      errsole.isConnectionInProgress = true;
+      let resolveConnection;
+      errsole.connectionPromise = new Promise(resolve => { resolveConnection = resolve; });
       errsole.pendingLogs = [{ message: 'log1' }];
-
-      setTimeout(() => {
-        errsole.isConnectionInProgress = false;
-      }, 200);
+      const timerCount = jest.getTimerCount();
 
       const flushLogsPromise = errsole.flushLogs();
-      jest.advanceTimersByTime(200);
+      await Promise.resolve();
+      expect(mockDb.collection('errsole_logs').insertMany).not.toHaveBeenCalled();
+      expect(jest.getTimerCount()).toBe(timerCount);
 
+      resolveConnection({});
       const result = await flushLogsPromise;
       expect(result).toEqual({});
-      expect(mockDb.collection('errsole_logs').insertMany).toHaveBeenCalledWith([{ message: 'log1' }]);
+      expect(mockDb.collection('errsole_logs').insertMany).toHaveBeenCalledWith([{ message: 'log1', metadata: { expires: true } }], { ordered: false });
+    });
+
+    it('should drop pending logs and return the error when the connection failed', async () => {
+      const error = new Error('Connection failed');
+      errsole.connectionPromise = Promise.reject(error);
+      errsole.pendingLogs = [{ message: 'log1' }];
+
+      const result = await errsole.flushLogs();
+
+      expect(result).toBe(error);
+      expect(errsole.pendingLogs).toEqual([]);
+      expect(errsole.droppedLogsCount).toBe(1);
+      expect(mockDb.collection('errsole_logs').insertMany).not.toHaveBeenCalled();
     });
 
     it('should flush logs to the database when there are logs to flush', async () => {
@@ -416,7 +852,7 @@ describe('ErrsoleMongoDB', () => {
 
       const result = await errsole.flushLogs();
       expect(result).toEqual({});
-      expect(mockDb.collection('errsole_logs').insertMany).toHaveBeenCalledWith([{ message: 'log1' }, { message: 'log2' }]);
+      expect(mockDb.collection('errsole_logs').insertMany).toHaveBeenCalledWith([{ message: 'log1', metadata: { expires: true } }, { message: 'log2', metadata: { expires: true } }], { ordered: false });
     });
 
     it('should handle errors during log flushing gracefully', async () => {
@@ -425,8 +861,243 @@ describe('ErrsoleMongoDB', () => {
       const error = new Error('Insertion failed');
       mockDb.collection('errsole_logs').insertMany.mockRejectedValue(error);
 
+      const flushLogsPromise = errsole.flushLogs();
+      await jest.advanceTimersByTimeAsync(errsole.flushRetryMaxDelay * errsole.flushRetryAttempts);
+
+      const result = await flushLogsPromise;
+      expect(result).toBe(error);
+    });
+
+    it('should retry only the documents that failed to insert', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.pendingLogs = [{ message: 'log1' }, { message: 'log2' }, { message: 'log3' }];
+      const error = { writeErrors: [{ index: 0, code: 11000 }, { index: 2, code: 91 }] };
+      mockLogsCollection.insertMany.mockRejectedValueOnce(error).mockResolvedValueOnce({});
+      const onRetry = jest.fn();
+      errsole.on('flushRetry', onRetry);
+
+      const flushLogsPromise = errsole.flushLogs();
+      await jest.advanceTimersByTimeAsync(errsole.flushRetryMaxDelay);
+
+      expect(await flushLogsPromise).toEqual({});
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledTimes(2);
+      expect(mockLogsCollection.insertMany).toHaveBeenLastCalledWith([{ message: 'log3', metadata: { expires: true } }], { ordered: false });
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, failedCount: 1, error }));
+    });
+
+    it('should not retry when every failed document is a duplicate', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.pendingLogs = [{ message: 'log1' }];
+      mockLogsCollection.insertMany.mockRejectedValueOnce({ code: 11000, writeErrors: [{ index: 0, code: 11000 }] });
+
+      const result = await errsole.flushLogs();
+
+      expect(result).toEqual({});
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledTimes(1);
+    });
+
+    it('should emit flushError with the failed logs once retries are exhausted', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.flushRetryAttempts = 1;
+      errsole.pendingLogs = [{ message: 'log1' }];
+      const error = new Error('Connection reset');
+      mockLogsCollection.insertMany.mockRejectedValueOnce(error).mockRejectedValueOnce(error);
+      const onError = jest.fn();
+      errsole.on('flushError', onError);
+
+      const flushLogsPromise = errsole.flushLogs();
+      await jest.advanceTimersByTimeAsync(errsole.flushRetryMaxDelay);
+
+      expect(await flushLogsPromise).toBe(error);
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledTimes(2);
+      expect(onError).toHaveBeenCalledWith({ error, failedCount: 1, logs: [{ message: 'log1', metadata: { expires: true } }] });
+    });
+  });
+
+  describe('batching', () => {
+    beforeEach(() => {
+      errsole.isConnectionInProgress = false;
+      mockLogsCollection.insertMany.mockResolvedValue({});
+    });
+
+    it('should split a flush into batches no larger than maxBatchBytes', async () => {
+      errsole.maxBatchBytes = 450;
+      errsole.pendingLogs = [{ message: 'log1' }, { message: 'log2' }, { message: 'log3' }];
+
+      await errsole.flushLogs();
+
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledTimes(2);
+      expect(mockLogsCollection.insertMany).toHaveBeenNthCalledWith(1, [{ message: 'log1', metadata: { expires: true } }, { message: 'log2', metadata: { expires: true } }], { ordered: false });
+      expect(mockLogsCollection.insertMany).toHaveBeenNthCalledWith(2, [{ message: 'log3', metadata: { expires: true } }], { ordered: false });
+    });
+
+    it('should split a flush into batches of at most batchSize entries', async () => {
+      errsole.batchSize = 2;
+      errsole.pendingLogs = [{ message: 'log1' }, { message: 'log2' }, { message: 'log3' }, { message: 'log4' }, { message: 'log5' }];
+
+      await errsole.flushLogs();
+
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledTimes(3);
+      expect(mockLogsCollection.insertMany).toHaveBeenNthCalledWith(1, [{ message: 'log1', metadata: { expires: true } }, { message: 'log2', metadata: { expires: true } }], { ordered: false });
+      expect(mockLogsCollection.insertMany).toHaveBeenNthCalledWith(2, [{ message: 'log3', metadata: { expires: true } }, { message: 'log4', metadata: { expires: true } }], { ordered: false });
+      expect(mockLogsCollection.insertMany).toHaveBeenNthCalledWith(3, [{ message: 'log5', metadata: { expires: true } }], { ordered: false });
+    });
+
+    it('should grow the batch size when a full batch is flushed in adaptive mode', async () => {
+      errsole.adaptiveBatching = true;
+      errsole.batchSize = 2;
+      errsole.pendingLogs = [{ message: 'log1' }, { message: 'log2' }];
+
+      await errsole.flushLogs();
+
+      expect(errsole.batchSize).toBe(4);
+    });
+
+    it('should shrink the batch size down to minBatchSize when idle in adaptive mode', async () => {
+      errsole.adaptiveBatching = true;
+      errsole.batchSize = 30;
+      errsole.minBatchSize = 10;
+
+      await errsole.flushLogs();
+      expect(errsole.batchSize).toBe(15);
+      await errsole.flushLogs();
+      expect(errsole.batchSize).toBe(10);
+    });
+
+    it('should not grow the batch size beyond maxBatchSize', () => {
+      errsole.batchSize = 800;
+      errsole.maxBatchSize = 1000;
+
+      errsole.adaptBatchSize(800);
+
+      expect(errsole.batchSize).toBe(1000);
+    });
+  });
+
+  describe('spill file', () => {
+    let spillDirectory;
+
+    beforeEach(() => {
+      spillDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'errsole-spill-'));
+      errsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { spillDirectory, flushRetryAttempts: 0 });
+      errsole.db = mockDb;
+      mockLogsCollection.insertMany.mockResolvedValue({});
+      errsole.isConnectionInProgress = false;
+    });
+
+    afterEach(() => {
+      fs.rmSync(spillDirectory, { recursive: true, force: true });
+    });
+
+    it('should not pass spill options to the MongoClient', () => {
+      expect(MongoClient).toHaveBeenLastCalledWith('mongodb://localhost:27017', {});
+    });
+
+    it('should append the batch to the spill file when the insert fails', async () => {
+      const error = new Error('Insertion failed');
+      mockLogsCollection.insertMany.mockRejectedValueOnce(error);
+      errsole.hasSpilledLogs = false;
+      errsole.pendingLogs = [{ message: 'log1' }, { message: 'log2' }];
+
+      const result = await errsole.flushLogs();
+
+      expect(result).toBe(error);
+      const lines = fs.readFileSync(errsole.spillFilePath, 'utf8').trim().split('\n');
+      expect(lines.map(line => JSON.parse(line))).toEqual([{ message: 'log1', metadata: { expires: true } }, { message: 'log2', metadata: { expires: true } }]);
+      expect(errsole.hasSpilledLogs).toBe(true);
+    });
+
+    it('should replay spilled logs before the pending logs and remove the spill file', async () => {
+      await errsole.spillLogs([{ message: 'old', timestamp: new Date(1620000000000) }]);
+      errsole.pendingLogs = [{ message: 'new' }];
+
+      const result = await errsole.flushLogs();
+
+      expect(result).toEqual({});
+      expect(mockLogsCollection.insertMany).toHaveBeenNthCalledWith(1, [{ message: 'old', timestamp: new Date(1620000000000), metadata: { expires: true } }], { ordered: false });
+      expect(mockLogsCollection.insertMany).toHaveBeenNthCalledWith(2, [{ message: 'new', metadata: { expires: true } }], { ordered: false });
+      expect(fs.existsSync(errsole.spillFilePath)).toBe(false);
+      expect(errsole.hasSpilledLogs).toBe(false);
+    });
+
+    it('should keep unreplayed logs and spill pending logs behind them when the replay fails', async () => {
+      const error = new Error('Insertion failed');
+      mockLogsCollection.insertMany.mockRejectedValueOnce(error);
+      await errsole.spillLogs([{ message: 'old' }]);
+      errsole.pendingLogs = [{ message: 'new' }];
+
       const result = await errsole.flushLogs();
+
       expect(result).toBe(error);
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledTimes(1);
+      const lines = fs.readFileSync(errsole.spillFilePath, 'utf8').trim().split('\n');
+      expect(lines.map(line => JSON.parse(line))).toEqual([{ message: 'old' }, { message: 'new' }]);
+    });
+
+    it('should treat duplicate key errors during replay as already replayed', async () => {
+      mockLogsCollection.insertMany.mockRejectedValueOnce({ code: 11000, writeErrors: [{ code: 11000 }] });
+      await errsole.spillLogs([{ message: 'old' }]);
+
+      const result = await errsole.flushLogs();
+
+      expect(result).toEqual({});
+      expect(fs.existsSync(errsole.spillFilePath)).toBe(false);
+    });
+
+    it('should name the spill file after the host and the process', () => {
+      expect(errsole.spillFilePath).toBe(path.join(spillDirectory, `errsole_logs_v2.${os.hostname()}.${process.pid}.spill.ndjson`));
+    });
+
+    it('should replay the spill files of stopped processes on the same host and leave those of running processes', async () => {
+      const spillFileName = pid => `errsole_logs_v2.${os.hostname()}.${pid}.spill.ndjson`;
+      fs.writeFileSync(path.join(spillDirectory, spillFileName(1001)), JSON.stringify({ message: 'stopped' }) + '\n');
+      fs.writeFileSync(path.join(spillDirectory, spillFileName(1002)), JSON.stringify({ message: 'running' }) + '\n');
+      fs.writeFileSync(path.join(spillDirectory, `errsole_logs_v2.otherhost.1001.spill.ndjson`), JSON.stringify({ message: 'other host' }) + '\n');
+      jest.spyOn(process, 'kill').mockImplementation(pid => {
+        if (pid === 1001) throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+        return true;
+      });
+      await errsole.spillLogs([{ message: 'own' }]);
+
+      try {
+        await errsole.flushLogs();
+      } finally {
+        process.kill.mockRestore();
+      }
+
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledTimes(2);
+      expect(mockLogsCollection.insertMany).toHaveBeenNthCalledWith(1, [{ message: 'stopped', metadata: { expires: true } }], { ordered: false });
+      expect(mockLogsCollection.insertMany).toHaveBeenNthCalledWith(2, [{ message: 'own', metadata: { expires: true } }], { ordered: false });
+      expect(fs.readdirSync(spillDirectory).sort()).toEqual([spillFileName(1002), 'errsole_logs_v2.otherhost.1001.spill.ndjson'].sort());
+    });
+
+    it('should keep a claimed spill file when its replay fails and replay it on the next flush', async () => {
+      const error = new Error('Insertion failed');
+      fs.writeFileSync(path.join(spillDirectory, `errsole_logs_v2.${os.hostname()}.1001.spill.ndjson`), JSON.stringify({ message: 'stopped' }) + '\n');
+      jest.spyOn(process, 'kill').mockImplementation(() => {
+        throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+      });
+      mockLogsCollection.insertMany.mockRejectedValueOnce(error);
+
+      try {
+        await expect(errsole.flushLogs()).resolves.toBe(error);
+        expect(fs.readdirSync(spillDirectory)).toEqual([expect.stringMatching(new RegExp(`\\.${process.pid}\\.[0-9a-f]+\\.spill\\.ndjson$`))]);
+
+        await expect(errsole.flushLogs()).resolves.toEqual({});
+      } finally {
+        process.kill.mockRestore();
+      }
+
+      expect(mockLogsCollection.insertMany).toHaveBeenLastCalledWith([{ message: 'stopped', metadata: { expires: true } }], { ordered: false });
+      expect(fs.readdirSync(spillDirectory)).toEqual([]);
+    });
+
+    it('should drop the batch when the spill file size limit is reached', async () => {
+      errsole.spillMaxBytes = 10;
+
+      await expect(errsole.spillLogs([{ message: 'a log entry longer than the limit' }]))
+        .rejects.toThrow('Spill file size limit reached. 1 log entries were dropped.');
+      expect(fs.existsSync(errsole.spillFilePath)).toBe(false);
     });
   });
 
@@ -444,7 +1115,7 @@ describe('ErrsoleMongoDB', () => {
 
       const result = await errsole.getLogs();
       expect(result.items.length).toBe(1);
-      expect(mockLogsCollection.find).toHaveBeenCalledWith({}, { projection: { meta: 0 } });
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({}, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
       expect(mockLogsCollection.sort).toHaveBeenCalledWith({ _id: -1 });
       expect(mockLogsCollection.limit).toHaveBeenCalledWith(100);
     });
@@ -458,7 +1129,7 @@ describe('ErrsoleMongoDB', () => {
       expect(result.items.length).toBe(1);
       expect(mockLogsCollection.find).toHaveBeenCalledWith({
         _id: { $lt: new ObjectId('60a6cbbd8574f2a0d24c4d5e') }
-      }, { projection: { meta: 0 } });
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
       expect(mockLogsCollection.sort).toHaveBeenCalledWith({ _id: -1 });
     });
 
@@ -471,7 +1142,7 @@ describe('ErrsoleMongoDB', () => {
       expect(result.items.length).toBe(1);
       expect(mockLogsCollection.find).toHaveBeenCalledWith({
         _id: { $gt: new ObjectId('60a6cbbd8574f2a0d24c4d5e') }
-      }, { projection: { meta: 0 } });
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
       expect(mockLogsCollection.sort).toHaveBeenCalledWith({ _id: 1 });
     });
 
@@ -488,8 +1159,8 @@ describe('ErrsoleMongoDB', () => {
 
       // Verify that find is called with both timestamp conditions
       expect(mockLogsCollection.find).toHaveBeenCalledWith(
-        { timestamp: { $lte: 1630000000000, $gte: 1620000000000 } },
-        { projection: { meta: 0 } }
+        { timestamp: { $lte: new Date(1630000000000), $gte: new Date(1620000000000) } },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
       );
       // The final sort order comes from the gte_timestamp block
       expect(mockLogsCollection.sort).toHaveBeenCalledWith({ timestamp: 1, _id: 1 });
@@ -514,7 +1185,7 @@ describe('ErrsoleMongoDB', () => {
           { source: 'source1', level: 'info' },
           { source: 'source2', level: 'error' }
         ]
-      }, { projection: { meta: 0 } });
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
     });
 
     it('should reverse documents if shouldReverse is true', async () => {
@@ -554,7 +1225,7 @@ describe('ErrsoleMongoDB', () => {
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_logs_v2');
       expect(mockLogsCollection.find).toHaveBeenCalledWith({
         hostname: { $in: ['host1', 'host2'] }
-      }, { projection: { meta: 0 } });
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
       expect(result.items.length).toBe(2);
     });
 
@@ -569,13 +1240,183 @@ describe('ErrsoleMongoDB', () => {
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_logs_v2');
       expect(mockLogsCollection.find).toHaveBeenCalledWith({
         $or: [{ errsole_id: 101 }]
-      }, { projection: { meta: 0 } });
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
       expect(result.items.length).toBe(1);
     });
   });
 
-  describe('searchLogs', () => {
-    let errsole;
+  describe('cursor pagination', () => {
+    const olderLog = { _id: 'a1', timestamp: new Date('2024-01-01T00:00:00Z'), message: 'log1' };
+    const newerLog = { _id: 'a2', timestamp: new Date('2024-01-01T00:00:00Z'), message: 'log2' };
+
+    it('should return cursors for the pages of older and newer logs', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([newerLog, olderLog]);
+
+      const result = await errsole.getLogs({ hostnames: ['host1'], limit: 2 });
+
+      expect(result.items.map(item => item.id)).toEqual(['a1', 'a2']);
+      expect(result.nextCursor).toEqual(expect.any(String));
+      expect(result.prevCursor).toEqual(expect.any(String));
+
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+      await errsole.getLogs({ cursor: result.nextCursor });
+
+      expect(mockLogsCollection.find).toHaveBeenLastCalledWith(
+        { hostname: { $in: ['host1'] }, $and: [{ _id: { $lt: new ObjectId('a1') } }] },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+      expect(mockLogsCollection.sort).toHaveBeenLastCalledWith({ _id: -1 });
+      expect(mockLogsCollection.limit).toHaveBeenLastCalledWith(2);
+
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+      await errsole.getLogs({ cursor: result.prevCursor, limit: 50 });
+
+      expect(mockLogsCollection.find).toHaveBeenLastCalledWith(
+        { hostname: { $in: ['host1'] }, $and: [{ _id: { $gt: new ObjectId('a2') } }] },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+      expect(mockLogsCollection.sort).toHaveBeenLastCalledWith({ _id: 1 });
+      expect(mockLogsCollection.limit).toHaveBeenLastCalledWith(50);
+    });
+
+    it('should continue timestamp-sorted pages with the id as a tiebreaker', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([olderLog, newerLog]);
+
+      const result = await errsole.getLogs({ gte_timestamp: new Date('2023-12-31T00:00:00Z'), limit: 2 });
+
+      mockLogsCollection.toArray.mockResolvedValueOnce([{ ...newerLog, _id: 'a3' }]);
+      const nextPage = await errsole.getLogs({ cursor: result.prevCursor });
+
+      expect(mockLogsCollection.find).toHaveBeenLastCalledWith({
+        timestamp: { $gte: new Date('2023-12-31T00:00:00Z') },
+        $and: [{
+          $or: [
+            { timestamp: { $gt: new Date('2024-01-01T00:00:00Z') } },
+            { timestamp: new Date('2024-01-01T00:00:00Z'), _id: { $gt: new ObjectId('a2') } }
+          ]
+        }]
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+      expect(mockLogsCollection.sort).toHaveBeenLastCalledWith({ timestamp: 1, _id: 1 });
+      expect(nextPage.items.map(item => item.id)).toEqual(['a3']);
+      expect(nextPage.prevCursor).toBeNull();
+      expect(nextPage.nextCursor).toEqual(expect.any(String));
+    });
+
+    it('should not return a cursor past the last page', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([olderLog]);
+
+      const result = await errsole.getLogs({ limit: 2 });
+
+      expect(result.nextCursor).toBeNull();
+      expect(result.prevCursor).toEqual(expect.any(String));
+    });
+
+    it('should restore the search terms from a searchLogs cursor', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([newerLog, olderLog]);
+      const result = await errsole.searchLogs(['timeout'], { limit: 2 });
+
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+      await errsole.searchLogs([], { cursor: result.nextCursor });
+
+      expect(mockLogsCollection.find).toHaveBeenLastCalledWith(
+        { $text: { $search: '"timeout"' }, $and: [{ _id: { $lt: new ObjectId('a1') } }] },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+    });
+
+    it('should reject malformed cursors and cursors of another method', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([newerLog, olderLog]);
+      const { nextCursor } = await errsole.getLogs({ limit: 2 });
+
+      await expect(errsole.searchLogs([], { cursor: nextCursor })).rejects.toThrow('Invalid cursor.');
+      await expect(errsole.getLogs({ cursor: 'not a cursor' })).rejects.toThrow('Invalid cursor.');
+    });
+  });
+
+  describe('log counts', () => {
+    it('should count the matching logs and their facets alongside the items', async () => {
+      mockLogsCollection.toArray
+        .mockResolvedValueOnce([{
+          total: [{ count: 1234 }],
+          level: [{ _id: 'error', count: 900 }, { _id: 'warn', count: 334 }]
+        }])
+        .mockResolvedValueOnce([{ _id: 'log1', message: 'log1' }]);
+
+      const result = await errsole.getLogs({ hostnames: ['host1'], facets: ['level'] });
+
+      expect(mockLogsCollection.aggregate).toHaveBeenCalledWith([
+        { $match: { hostname: { $in: ['host1'] } } },
+        { $limit: 100000 },
+        { $facet: { total: [{ $count: 'count' }], level: [{ $group: { _id: '$level', count: { $sum: 1 } } }] } }
+      ]);
+      expect(result).toEqual(expect.objectContaining({
+        items: [{ id: 'log1', message: 'log1' }],
+        total: 1234,
+        isTotalEstimated: false,
+        facets: { level: { error: 900, warn: 334 } }
+      }));
+    });
+
+    it('should report capped totals as estimated', async () => {
+      const cappedErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { countLimit: 1000 });
+      await cappedErrsole.ready();
+      mockLogsCollection.toArray.mockResolvedValueOnce([{ total: [{ count: 1000 }] }]).mockResolvedValueOnce([]);
+
+      const result = await cappedErrsole.searchLogs(['timeout'], { withCounts: true });
+
+      expect(mockLogsCollection.aggregate).toHaveBeenCalledWith([
+        { $match: { $text: { $search: '"timeout"' } } },
+        { $limit: 1000 },
+        { $facet: { total: [{ $count: 'count' }] } }
+      ]);
+      expect(result.total).toBe(1000);
+      expect(result.isTotalEstimated).toBe(true);
+      expect(result.facets).toBeUndefined();
+    });
+
+    it('should estimate the total of unfiltered queries from the collection metadata', async () => {
+      mockLogsCollection.estimatedDocumentCount.mockResolvedValueOnce(5000000);
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+
+      const result = await errsole.getLogs({ withCounts: true });
+
+      expect(mockLogsCollection.aggregate).not.toHaveBeenCalled();
+      expect(result.total).toBe(5000000);
+      expect(result.isTotalEstimated).toBe(true);
+    });
+
+    it('should count all matches rather than the page of a cursor', async () => {
+      mockLogsCollection.toArray
+        .mockResolvedValueOnce([{ total: [{ count: 3 }] }])
+        .mockResolvedValueOnce([{ _id: 'a2', timestamp: new Date(), message: 'log2' }]);
+      const { nextCursor } = await errsole.getLogs({ hostnames: ['host1'], withCounts: true, limit: 1 });
+      mockLogsCollection.toArray.mockResolvedValueOnce([{ total: [{ count: 3 }] }]).mockResolvedValueOnce([]);
+
+      await errsole.getLogs({ cursor: nextCursor });
+
+      expect(mockLogsCollection.aggregate).toHaveBeenLastCalledWith(expect.arrayContaining([{ $match: { hostname: { $in: ['host1'] } } }]));
+    });
+
+    it('should count all matches rather than the page of an id filter', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([{ total: [{ count: 3 }] }]).mockResolvedValueOnce([]);
+
+      const result = await errsole.getLogs({ hostnames: ['host1'], lt_id: 'a2', withCounts: true });
+
+      expect(mockLogsCollection.aggregate).toHaveBeenCalledWith(expect.arrayContaining([{ $match: { hostname: { $in: ['host1'] } } }]));
+      expect(mockLogsCollection.find).toHaveBeenCalledWith(
+        { hostname: { $in: ['host1'] }, _id: { $lt: new ObjectId('a2') } },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+      expect(result.total).toBe(3);
+    });
+
+    it('should reject unsupported facet fields', async () => {
+      await expect(errsole.getLogs({ facets: ['message'] })).rejects.toThrow('Cannot count logs by message.');
+    });
+  });
+
+  describe('searchLogs', () => {
+    let errsole;
 
     beforeEach(() => {
       jest.clearAllMocks();
@@ -591,12 +1432,28 @@ describe('ErrsoleMongoDB', () => {
       expect(result.items.length).toBe(1);
       expect(mockLogsCollection.find).toHaveBeenCalledWith(
         { $text: { $search: '"error"' } },
-        { projection: { meta: 0 } }
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
       );
       expect(mockLogsCollection.sort).toHaveBeenCalledWith({ _id: -1 });
       expect(mockLogsCollection.limit).toHaveBeenCalledWith(100);
     });
 
+    it('should apply the fingerprint filter like getLogs', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([]).mockResolvedValueOnce([]);
+
+      await errsole.searchLogs(['error'], { hostnames: ['host1'], fingerprint: 'abc' });
+      await errsole.getLogs({ hostnames: ['host1'], fingerprint: 'abc' });
+
+      expect(mockLogsCollection.find).toHaveBeenNthCalledWith(1,
+        { $text: { $search: '"error"' }, hostname: { $in: ['host1'] }, fingerprint: 'abc' },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+      expect(mockLogsCollection.find).toHaveBeenNthCalledWith(2,
+        { hostname: { $in: ['host1'] }, fingerprint: 'abc' },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+    });
+
     it('should apply lte_timestamp filter correctly when only lte_timestamp is provided', async () => {
       const searchTerms = ['error'];
       // Provide lte_timestamp as a date string
@@ -609,10 +1466,8 @@ describe('ErrsoleMongoDB', () => {
       expect(result).toBeDefined();
 
       // Convert the provided timestamp into a Date and compute expected $gte as (givenTimestamp - 24 hours)
-      const lteDate = new Date(givenTimestamp);
-      const expectedLte = lteDate.toISOString();
-      const gteDate = new Date(lteDate.getTime() - 24 * 60 * 60 * 1000);
-      const expectedGte = gteDate.toISOString();
+      const expectedLte = new Date(givenTimestamp);
+      const expectedGte = new Date(expectedLte.getTime() - 24 * 60 * 60 * 1000);
 
       // Verify that find is called with a query that includes the timestamp filter
       expect(mockLogsCollection.find).toHaveBeenCalledWith(
@@ -620,7 +1475,7 @@ describe('ErrsoleMongoDB', () => {
           $text: { $search: '"error"' },
           timestamp: { $lte: expectedLte, $gte: expectedGte }
         },
-        { projection: { meta: 0 } }
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
       );
       // Verify sort order is set from the lte block
       expect(mockLogsCollection.sort).toHaveBeenCalledWith({ timestamp: -1, _id: -1 });
@@ -637,10 +1492,8 @@ describe('ErrsoleMongoDB', () => {
       expect(result).toBeDefined();
 
       // Convert the provided timestamp into a Date and compute expected $lte as (givenTimestamp + 24 hours)
-      const gteDate = new Date(givenTimestamp);
-      const expectedGte = gteDate.toISOString();
-      const lteDate = new Date(gteDate.getTime() + 24 * 60 * 60 * 1000);
-      const expectedLte = lteDate.toISOString();
+      const expectedGte = new Date(givenTimestamp);
+      const expectedLte = new Date(expectedGte.getTime() + 24 * 60 * 60 * 1000);
 
       // Verify that find is called with the correct timestamp filter
       expect(mockLogsCollection.find).toHaveBeenCalledWith(
@@ -648,7 +1501,7 @@ describe('ErrsoleMongoDB', () => {
           $text: { $search: '"error"' },
           timestamp: { $gte: expectedGte, $lte: expectedLte }
         },
-        { projection: { meta: 0 } }
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
       );
       // Verify sort order is set from the gte block
       expect(mockLogsCollection.sort).toHaveBeenCalledWith({ timestamp: 1, _id: 1 });
@@ -665,10 +1518,8 @@ describe('ErrsoleMongoDB', () => {
       const result = await errsole.searchLogs(searchTerms, filters);
       expect(result).toBeDefined();
 
-      const lteDate = new Date(givenLteTimestamp);
-      const gteDate = new Date(givenGteTimestamp);
-      const expectedLte = lteDate.toISOString();
-      const expectedGte = gteDate.toISOString();
+      const expectedLte = new Date(givenLteTimestamp);
+      const expectedGte = new Date(givenGteTimestamp);
 
       // When both filters are provided, no additional boundaries are computed.
       expect(mockLogsCollection.find).toHaveBeenCalledWith(
@@ -676,12 +1527,44 @@ describe('ErrsoleMongoDB', () => {
           $text: { $search: '"error"' },
           timestamp: { $lte: expectedLte, $gte: expectedGte }
         },
-        { projection: { meta: 0 } }
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
       );
       // Final sort order is determined by the gte_timestamp block.
       expect(mockLogsCollection.sort).toHaveBeenCalledWith({ timestamp: 1, _id: 1 });
     });
 
+    it('should return the effective time range limited by the search window', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+
+      const result = await errsole.searchLogs(['error'], { lte_timestamp: '2021-05-03T00:00:00.000Z' });
+
+      expect(result.filters).toEqual({
+        lte_timestamp: new Date('2021-05-03T00:00:00.000Z'),
+        gte_timestamp: new Date('2021-05-02T00:00:00.000Z'),
+        limit: 100
+      });
+    });
+
+    it('should use the configured search window or none', async () => {
+      const windowErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { searchWindow: 60 * 60 * 1000 });
+      const unlimitedErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { searchWindow: 0 });
+      await Promise.all([windowErrsole.ready(), unlimitedErrsole.ready()]);
+      mockLogsCollection.toArray.mockResolvedValueOnce([]).mockResolvedValueOnce([]);
+
+      await windowErrsole.searchLogs(['error'], { gte_timestamp: '2021-05-03T00:00:00.000Z' });
+      const result = await unlimitedErrsole.searchLogs(['error'], { gte_timestamp: '2021-05-03T00:00:00.000Z' });
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith(
+        { $text: { $search: '"error"' }, timestamp: { $gte: new Date('2021-05-03T00:00:00.000Z'), $lte: new Date('2021-05-03T01:00:00.000Z') } },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+      expect(mockLogsCollection.find).toHaveBeenLastCalledWith(
+        { $text: { $search: '"error"' }, timestamp: { $gte: new Date('2021-05-03T00:00:00.000Z') } },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+      expect(result.filters).toEqual({ gte_timestamp: new Date('2021-05-03T00:00:00.000Z'), limit: 100 });
+    });
+
     it('should set level_json filter correctly', async () => {
       const searchTerms = ['error'];
       const filters = {
@@ -701,7 +1584,7 @@ describe('ErrsoleMongoDB', () => {
           { source: 'source1', level: 'info' },
           { source: 'source2', level: 'error' }
         ]
-      }, { projection: { meta: 0 } });
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
     });
 
     it('should reverse documents if shouldReverse is true', async () => {
@@ -729,42 +1612,888 @@ describe('ErrsoleMongoDB', () => {
       const logs = [{ _id: '123', message: 'log1' }];
       mockLogsCollection.toArray.mockResolvedValue(logs);
 
-      const result = await errsole.searchLogs(searchTerms);
-      expect(result.items[0]).toEqual({ id: '123', message: 'log1' });
+      const result = await errsole.searchLogs(searchTerms);
+      expect(result.items[0]).toEqual({ id: '123', message: 'log1' });
+    });
+
+    it('should apply hostnames filter using $in operator when filters.hostnames is provided', async () => {
+      const searchTerms = ['error'];
+      const filters = { hostnames: ['host1', 'host2'] };
+      const mockLogs = [{ _id: '123', message: 'log1' }, { _id: '124', message: 'log2' }];
+
+      mockLogsCollection.toArray.mockResolvedValue(mockLogs);
+
+      const result = await errsole.searchLogs(searchTerms, filters);
+
+      expect(mockDb.collection).toHaveBeenCalledWith('errsole_logs_v2');
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({
+        $text: { $search: '"error"' },
+        hostname: { $in: ['host1', 'host2'] }
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+      expect(result.items.length).toBe(2);
+    });
+
+    it('should apply errsole_id filter and push to $or condition when filters.errsole_id is provided', async () => {
+      const searchTerms = ['error'];
+      const filters = { errsole_id: 101 };
+      const mockLogs = [{ _id: '123', message: 'log1' }];
+
+      mockLogsCollection.toArray.mockResolvedValue(mockLogs);
+
+      const result = await errsole.searchLogs(searchTerms, filters);
+
+      expect(mockDb.collection).toHaveBeenCalledWith('errsole_logs_v2');
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({
+        $text: { $search: '"error"' },
+        $or: [{ errsole_id: 101 }]
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+      expect(result.items.length).toBe(1);
+    });
+
+    it('should turn a structured query into a filter', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+
+      await errsole.searchLogs('level:error host:api-* -message:"healthcheck" (source:console OR pid:42)', { hostnames: ['api-1'] });
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({
+        hostname: { $in: ['api-1'] },
+        $and: [{
+          $and: [
+            { level: 'error' },
+            { hostname: { $regex: '^api-.*$' } },
+            { $nor: [{ message: { $regex: 'healthcheck', $options: 'i' } }] },
+            { $or: [{ source: 'console' }, { pid: 42 }] }
+          ]
+        }]
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+    });
+
+    it('should use the text index for plain message terms of a structured query', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+
+      await errsole.searchLogs('timeout "db down" NOT level:debug /conn(ection)? reset/');
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({
+        $text: { $search: '"timeout" "db down"' },
+        $and: [{
+          $and: [
+            { $nor: [{ level: 'debug' }] },
+            { message: { $regex: 'conn(ection)? reset' } }
+          ]
+        }]
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+    });
+
+    it('should match message terms with regular expressions in time-series collections', async () => {
+      errsole.isTimeSeriesLogsCollection = true;
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+
+      await errsole.searchLogs('time*out');
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith(
+        { $and: [{ message: { $regex: 'time.*out', $options: 'i' } }] },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+    });
+
+    it('should search words with unknown qualifiers as message text', async () => {
+      errsole.isTimeSeriesLogsCollection = true;
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+
+      await errsole.searchLogs('TypeError: ECONNREFUSED http://api level:error');
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith(
+        {
+          $and: [{
+            $and: [
+              { message: { $regex: 'TypeError:', $options: 'i' } },
+              { message: { $regex: 'ECONNREFUSED', $options: 'i' } },
+              { message: { $regex: 'http://api', $options: 'i' } },
+              { level: 'error' }
+            ]
+          }]
+        },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+    });
+
+    it('should negate groups with a leading minus', async () => {
+      errsole.isTimeSeriesLogsCollection = true;
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+
+      await errsole.searchLogs('-(level:error OR level:warn) timeout');
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith(
+        {
+          $and: [{
+            $and: [
+              { $nor: [{ $or: [{ level: 'error' }, { level: 'warn' }] }] },
+              { message: { $regex: 'timeout', $options: 'i' } }
+            ]
+          }]
+        },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+    });
+
+    it('should search a lone minus as message text', async () => {
+      errsole.isTimeSeriesLogsCollection = true;
+      mockLogsCollection.toArray.mockResolvedValueOnce([]).mockResolvedValueOnce([]);
+
+      await errsole.searchLogs('a - b');
+      await errsole.searchLogs('-');
+
+      expect(mockLogsCollection.find).toHaveBeenNthCalledWith(1,
+        {
+          $and: [{
+            $and: [
+              { message: { $regex: 'a', $options: 'i' } },
+              { message: { $regex: '-', $options: 'i' } },
+              { message: { $regex: 'b', $options: 'i' } }
+            ]
+          }]
+        },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+      expect(mockLogsCollection.find).toHaveBeenNthCalledWith(2, { $and: [{ message: { $regex: '-', $options: 'i' } }] }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+    });
+
+    it('should reject malformed structured queries with the position of the problem', async () => {
+      await expect(errsole.searchLogs('(level:error OR')).rejects.toThrow('Unexpected end of search query.');
+      await expect(errsole.searchLogs('(level:error')).rejects.toThrow('Missing closing parenthesis for the group at position 0.');
+      await expect(errsole.searchLogs('level:error)')).rejects.toThrow('Unexpected ")" at position 11.');
+      await expect(errsole.searchLogs('message:"unterminated')).rejects.toThrow('Unterminated phrase at position 8.');
+      await expect(errsole.searchLogs('level:')).rejects.toThrow('Missing value for level at position 0.');
+      await expect(errsole.searchLogs('pid:abc')).rejects.toThrow('Invalid value for pid at position 0: expected a number.');
+      await expect(errsole.searchLogs('/(/')).rejects.toThrow('Unterminated group at position 0.');
+      expect(mockLogsCollection.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('structured meta', () => {
+    it('should keep the meta string and store a JSON object as a meta_fields sub-document', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.pendingLogs = [
+        { message: 'log1', meta: '{ "user": { "id": 7 }, "requestId": "abc", "amount": 1.10 }' },
+        { message: 'log2', meta: 'not json' },
+        { message: 'log3', meta: '[1,2]' },
+        { message: 'log4', meta: '{"$where":"1"}' },
+        { message: 'log5', meta: '{"a.b":1}' }
+      ];
+
+      await errsole.flushLogs();
+
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledWith([
+        {
+          message: 'log1',
+          meta: '{ "user": { "id": 7 }, "requestId": "abc", "amount": 1.10 }',
+          meta_fields: { user: { id: 7 }, requestId: 'abc', amount: 1.1 },
+          metadata: { expires: true }
+        },
+        { message: 'log2', meta: 'not json', metadata: { expires: true } },
+        { message: 'log3', meta: '[1,2]', metadata: { expires: true } },
+        { message: 'log4', meta: '{"$where":"1"}', metadata: { expires: true } },
+        { message: 'log5', meta: '{"a.b":1}', metadata: { expires: true } }
+      ], { ordered: false });
+    });
+
+    it('should apply meta filters in getLogs and searchLogs', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([]).mockResolvedValueOnce([]);
+      const metaFilters = { 'meta.requestId': 'abc', duration: { $gte: 100, $lt: 500 }, 'meta.user.id': { $exists: true } };
+
+      await errsole.getLogs({ metaFilters });
+      await errsole.searchLogs(['error'], { metaFilters });
+
+      const expectedConditions = { 'meta_fields.requestId': 'abc', 'meta_fields.duration': { $gte: 100, $lt: 500 }, 'meta_fields.user.id': { $exists: true } };
+      expect(mockLogsCollection.find).toHaveBeenNthCalledWith(1, expectedConditions, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+      expect(mockLogsCollection.find).toHaveBeenNthCalledWith(2, { $text: { $search: '"error"' }, ...expectedConditions }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+    });
+
+    it('should reject unsupported meta filter operators and paths', async () => {
+      await expect(errsole.getLogs({ metaFilters: { requestId: { $where: 'true' } } })).rejects.toThrow('Unsupported meta filter operator: $where.');
+      await expect(errsole.getLogs({ metaFilters: { 'meta.$user': 1 } })).rejects.toThrow('Invalid meta filter path: meta.$user.');
+      await expect(errsole.getLogs({ metaFilters: { 'user..id': 1 } })).rejects.toThrow('Invalid meta filter path: user..id.');
+    });
+
+    it('should create partial indexes for the configured meta paths', async () => {
+      const metaErrsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { metaIndexPaths: ['requestId', 'meta.user.id'] });
+      await metaErrsole.ready();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(mockLogsCollection.createIndex).toHaveBeenCalledWith(
+        { 'meta_fields.requestId': 1, timestamp: 1, _id: 1 },
+        { partialFilterExpression: { 'meta_fields.requestId': { $exists: true } } }
+      );
+      expect(mockLogsCollection.createIndex).toHaveBeenCalledWith(
+        { 'meta_fields.user.id': 1, timestamp: 1, _id: 1 },
+        { partialFilterExpression: { 'meta_fields.user.id': { $exists: true } } }
+      );
+    });
+
+    it('should store imported object meta as a JSON string', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.pendingLogs = [{ message: 'log1', meta: { requestId: 'abc' } }];
+
+      await errsole.flushLogs();
+
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledWith([
+        { message: 'log1', meta: '{"requestId":"abc"}', meta_fields: { requestId: 'abc' }, metadata: { expires: true } }
+      ], { ordered: false });
+    });
+  });
+
+  describe('tailLogs', () => {
+    let changeStream;
+
+    beforeEach(async () => {
+      await errsole.ready();
+      await jest.advanceTimersByTimeAsync(0);
+      jest.clearAllMocks();
+      changeStream = new EventEmitter();
+      changeStream.close = jest.fn().mockResolvedValue();
+    });
+
+    it('should follow new logs through a change stream on replica sets', async () => {
+      mockDb.command.mockResolvedValueOnce({ setName: 'rs0' });
+      mockLogsCollection.watch.mockReturnValueOnce(changeStream);
+      const logs = [];
+
+      const tail = errsole.tailLogs({ hostnames: ['host1'], level_json: [{ source: 'console', level: 'error' }] });
+      tail.on('log', log => logs.push(log));
+      await jest.advanceTimersByTimeAsync(0);
+      changeStream.emit('change', { _id: { _data: 'token1' }, fullDocument: { _id: 'a1', hostname: 'host1', message: 'log1' } });
+
+      expect(mockDb.command).toHaveBeenCalledWith({ hello: 1 });
+      expect(mockLogsCollection.watch).toHaveBeenCalledWith([
+        {
+          $match: {
+            operationType: 'insert',
+            'fullDocument.hostname': { $in: ['host1'] },
+            $or: [{ 'fullDocument.source': 'console', 'fullDocument.level': 'error' }]
+          }
+        },
+        { $project: { 'fullDocument.meta': 0, 'fullDocument.meta_fields': 0, 'fullDocument.metadata': 0 } }
+      ], {});
+      expect(logs).toEqual([{ id: 'a1', hostname: 'host1', message: 'log1' }]);
+      expect(tail.resumeToken).toEqual({ _data: 'token1' });
+      await tail.close();
+    });
+
+    it('should restart the change stream from the last resume token after an error', async () => {
+      mockDb.command.mockResolvedValueOnce({ setName: 'rs0' });
+      const restartedStream = new EventEmitter();
+      restartedStream.close = jest.fn().mockResolvedValue();
+      mockLogsCollection.watch.mockReturnValueOnce(changeStream).mockReturnValueOnce(restartedStream);
+      const tail = errsole.tailLogs({}, { resumeAfter: { _data: 'token0' } });
+      const reconnectingListener = jest.fn();
+      tail.on('reconnecting', reconnectingListener);
+      await jest.advanceTimersByTimeAsync(0);
+
+      changeStream.emit('change', { _id: { _data: 'token1' }, fullDocument: { _id: 'a1', message: 'log1' } });
+      changeStream.emit('error', new Error('Connection reset'));
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(mockLogsCollection.watch).toHaveBeenNthCalledWith(1, expect.any(Array), { resumeAfter: { _data: 'token0' } });
+      expect(changeStream.close).toHaveBeenCalled();
+      expect(reconnectingListener).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, error: new Error('Connection reset') }));
+      expect(mockLogsCollection.watch).toHaveBeenNthCalledWith(2, expect.any(Array), { resumeAfter: { _data: 'token1' } });
+      await tail.close();
+    });
+
+    it('should poll for new logs on standalone servers', async () => {
+      mockDb.command.mockResolvedValueOnce({ isWritablePrimary: true });
+      mockLogsCollection.toArray
+        .mockResolvedValueOnce([{ _id: 'a1' }])
+        .mockResolvedValueOnce([{ _id: 'a2', message: 'log2' }])
+        .mockResolvedValueOnce([]);
+      const logs = [];
+
+      const tail = errsole.tailLogs({ hostnames: ['host1'] }, { pollInterval: 500 });
+      tail.on('log', log => logs.push(log));
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(mockLogsCollection.watch).not.toHaveBeenCalled();
+      expect(mockLogsCollection.find).toHaveBeenCalledWith(
+        { $and: [{ hostname: { $in: ['host1'] } }, { _id: { $gt: 'a1' } }] },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+      expect(logs).toEqual([{ id: 'a2', message: 'log2' }]);
+      expect(tail.resumeToken).toEqual({ lastId: 'a2' });
+
+      await jest.advanceTimersByTimeAsync(500);
+      expect(mockLogsCollection.find).toHaveBeenLastCalledWith(
+        { $and: [{ hostname: { $in: ['host1'] } }, { _id: { $gt: 'a2' } }] },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+      await tail.close();
+    });
+
+    it('should resume polling after the last id of a polling resume token', async () => {
+      mockDb.command.mockResolvedValueOnce({ setName: 'rs0' });
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+
+      const tail = errsole.tailLogs({}, { resumeAfter: { lastId: '65a000000000000000000001' } });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(mockLogsCollection.watch).not.toHaveBeenCalled();
+      expect(mockLogsCollection.find).toHaveBeenCalledWith(
+        { $and: [{}, { _id: { $gt: new ObjectId('65a000000000000000000001') } }] },
+        { projection: { meta: 0, meta_fields: 0, metadata: 0 } }
+      );
+      await tail.close();
+    });
+
+    it('should iterate over new logs until the tail is closed', async () => {
+      mockDb.command.mockResolvedValueOnce({ setName: 'rs0' });
+      mockLogsCollection.watch.mockReturnValueOnce(changeStream);
+      const tail = errsole.tailLogs();
+      const logs = [];
+
+      const iteration = (async () => {
+        for await (const log of tail) {
+          logs.push(log);
+        }
+      })();
+      await jest.advanceTimersByTimeAsync(0);
+      changeStream.emit('change', { _id: { _data: 'token1' }, fullDocument: { _id: 'a1', message: 'log1' } });
+      changeStream.emit('change', { _id: { _data: 'token2' }, fullDocument: { _id: 'a2', message: 'log2' } });
+      await errsole.close();
+      await iteration;
+
+      expect(logs.map(log => log.id)).toEqual(['a1', 'a2']);
+      expect(changeStream.close).toHaveBeenCalled();
+    });
+
+    it('should end the iteration at once when the tail is already closed', async () => {
+      mockDb.command.mockResolvedValueOnce({});
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+      const tail = errsole.tailLogs();
+      await tail.close();
+
+      const logs = [];
+      for await (const log of tail) {
+        logs.push(log);
+      }
+
+      expect(logs).toEqual([]);
+    });
+  });
+
+  describe('exportLogs', () => {
+    const readStream = async stream => {
+      let output = '';
+      for await (const chunk of stream) {
+        output += chunk;
+      }
+      return output;
+    };
+
+    const mockCursor = docs => {
+      docs.forEach(doc => mockLogsCollection.next.mockResolvedValueOnce(doc));
+      mockLogsCollection.next.mockResolvedValueOnce(null);
+    };
+
+    it('should export NDJSON without meta using the getLogs filters', async () => {
+      mockCursor([{ _id: 'a', hostname: 'host1', message: 'log1' }, { _id: 'b', hostname: 'host1', message: 'log2' }]);
+      const filters = {
+        hostnames: ['host1'],
+        level_json: [{ source: 'console', level: 'error' }],
+        gte_timestamp: '2024-01-01T00:00:00.000Z',
+        lte_timestamp: '2024-01-02T00:00:00.000Z'
+      };
+
+      const output = await readStream(errsole.exportLogs(filters));
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({
+        hostname: { $in: ['host1'] },
+        $or: [{ source: 'console', level: 'error' }],
+        timestamp: { $lte: new Date('2024-01-02T00:00:00.000Z'), $gte: new Date('2024-01-01T00:00:00.000Z') }
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+      expect(mockLogsCollection.sort).toHaveBeenCalledWith({ timestamp: 1, _id: 1 });
+      expect(output).toBe('{"id":"a","hostname":"host1","message":"log1"}\n{"id":"b","hostname":"host1","message":"log2"}\n');
+      expect(mockLogsCollection.close).toHaveBeenCalled();
+    });
+
+    it('should export a JSON array including meta', async () => {
+      mockCursor([{ _id: 'a', message: 'log1', meta: '{}' }, { _id: 'b', message: 'log2', meta: '{}' }]);
+
+      const output = await readStream(errsole.exportLogs({}, { format: 'json', includeMeta: true }));
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({}, { projection: { meta_fields: 0, metadata: 0 } });
+      expect(JSON.parse(output)).toEqual([{ id: 'a', message: 'log1', meta: '{}' }, { id: 'b', message: 'log2', meta: '{}' }]);
+    });
+
+    it('should export an empty JSON array when no logs match', async () => {
+      mockCursor([]);
+
+      const output = await readStream(errsole.exportLogs({}, { format: 'json' }));
+
+      expect(output).toBe('[]');
+    });
+
+    it('should export CSV with the configured columns and escaped values', async () => {
+      mockCursor([{ _id: 'a', timestamp: new Date('2024-01-01T00:00:00.000Z'), level: 'error', message: 'failed, "badly"\nagain' }]);
+
+      const output = await readStream(errsole.exportLogs({ limit: 10 }, { format: 'csv', columns: ['id', 'timestamp', 'level', 'message'] }));
+
+      expect(mockLogsCollection.limit).toHaveBeenCalledWith(10);
+      expect(output).toBe('id,timestamp,level,message\na,2024-01-01T00:00:00.000Z,error,"failed, ""badly""\nagain"\n');
+    });
+
+    it('should throw an error for an unsupported format', () => {
+      expect(() => errsole.exportLogs({}, { format: 'xml' })).toThrow('Unsupported export format: xml.');
+    });
+  });
+
+  describe('importLogs', () => {
+    const log = { hostname: 'host1', pid: 42, source: 'console', level: 'error', message: 'log1' };
+    const fingerprint = expect.any(String);
+    const metadata = { expires: true };
+
+    beforeEach(() => {
+      mockLogsCollection.insertMany.mockResolvedValue({});
+    });
+
+    it('should import valid NDJSON lines and count the invalid ones', async () => {
+      const stream = Readable.from([
+        JSON.stringify({ ...log, id: '65a000000000000000000001', timestamp: '2024-01-01T00:00:00.000Z', meta: '{}' }) + '\n',
+        'not json\n\n',
+        JSON.stringify({ ...log, level: 42, timestamp: '2024-01-01T00:00:00.000Z' }) + '\n',
+        JSON.stringify({ ...log, timestamp: 'yesterday' }) + '\n',
+        JSON.stringify({ ...log, id: 7, timestamp: '2024-01-02T00:00:00.000Z', extra: true })
+      ]);
+
+      const result = await errsole.importLogs(stream);
+
+      expect(result).toEqual({ insertedCount: 2, skippedCount: 0, invalidCount: 3 });
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledWith([
+        { ...log, _id: new ObjectId('65a000000000000000000001'), timestamp: new Date('2024-01-01T00:00:00.000Z'), meta: '{}', meta_fields: {}, fingerprint, metadata },
+        { ...log, timestamp: new Date('2024-01-02T00:00:00.000Z'), fingerprint, metadata }
+      ], { ordered: false });
+    });
+
+    it('should import the CSV produced by exportLogs', async () => {
+      const stream = Readable.from([
+        'id,timestamp,hostname,pid,source,level,message,errsole_id\r\n',
+        '65a000000000000000000001,2024-01-01T00:00:00.000Z,host1,42,console,error,"failed, ""badly""\nagain",\r\n',
+        '65a000000000000000000002,2024-01-01T00:00:01.000Z,host1,42,console,error,log2,7'
+      ]);
+
+      const result = await errsole.importLogs(stream, { format: 'csv' });
+
+      expect(result).toEqual({ insertedCount: 2, skippedCount: 0, invalidCount: 0 });
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledWith([
+        { ...log, _id: new ObjectId('65a000000000000000000001'), timestamp: new Date('2024-01-01T00:00:00.000Z'), message: 'failed, "badly"\nagain', fingerprint, metadata },
+        { ...log, _id: new ObjectId('65a000000000000000000002'), timestamp: new Date('2024-01-01T00:00:01.000Z'), message: 'log2', errsole_id: 7, fingerprint, metadata }
+      ], { ordered: false });
+    });
+
+    it('should import the empty fields of a CSV export as empty strings', async () => {
+      const exportedLog = { _id: '65a000000000000000000001', timestamp: new Date('2024-01-01T00:00:00.000Z'), hostname: 'host1', source: '', level: 'error', message: '' };
+      mockLogsCollection.next.mockResolvedValueOnce(exportedLog).mockResolvedValueOnce(null);
+      const chunks = [];
+      for await (const chunk of errsole.exportLogs({}, { format: 'csv' })) {
+        chunks.push(chunk);
+      }
+
+      const result = await errsole.importLogs(Readable.from(chunks), { format: 'csv' });
+
+      expect(result).toEqual({ insertedCount: 1, skippedCount: 0, invalidCount: 0 });
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledWith([
+        { hostname: 'host1', source: '', level: 'error', message: '', _id: new ObjectId('65a000000000000000000001'), timestamp: new Date('2024-01-01T00:00:00.000Z'), fingerprint, metadata }
+      ], { ordered: false });
+    });
+
+    it('should count entries with a null or empty timestamp as invalid', async () => {
+      const stream = Readable.from([
+        JSON.stringify({ ...log, timestamp: null }) + '\n',
+        JSON.stringify({ ...log, timestamp: '' }) + '\n',
+        JSON.stringify({ ...log, timestamp: true }) + '\n',
+        JSON.stringify({ ...log, timestamp: 1704067200000 })
+      ]);
+
+      const result = await errsole.importLogs(stream);
+
+      expect(result).toEqual({ insertedCount: 1, skippedCount: 0, invalidCount: 3 });
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledWith([{ ...log, timestamp: new Date('2024-01-01T00:00:00.000Z'), fingerprint, metadata }], { ordered: false });
+    });
+
+    it('should use the import time when preserveTimestamps is false', async () => {
+      jest.setSystemTime(new Date('2024-02-01T00:00:00Z'));
+      const stream = Readable.from([JSON.stringify({ ...log, timestamp: '2024-01-01T00:00:00.000Z' })]);
+
+      await errsole.importLogs(stream, { preserveTimestamps: false });
+
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledWith([{ ...log, timestamp: new Date('2024-02-01T00:00:00Z'), fingerprint, metadata }], { ordered: false });
+    });
+
+    it('should count duplicate ids rejected by the database as skipped', async () => {
+      mockLogsCollection.insertMany.mockRejectedValueOnce({ code: 11000, writeErrors: [{ index: 0, code: 11000 }] });
+      const stream = Readable.from([
+        JSON.stringify({ ...log, id: '65a000000000000000000001', timestamp: '2024-01-01T00:00:00.000Z' }) + '\n',
+        JSON.stringify({ ...log, timestamp: '2024-01-01T00:00:00.000Z' })
+      ]);
+
+      const result = await errsole.importLogs(stream);
+
+      expect(result).toEqual({ insertedCount: 1, skippedCount: 1, invalidCount: 0 });
+      expect(mockLogsCollection.bulkWrite.mock.calls[0][0][0].updateOne.update.$inc).toEqual({ count: 1 });
+    });
+
+    it('should skip stored and repeated entries with dedupe', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([{ _id: 'stored', ...log, timestamp: new Date('2024-01-01T00:00:00.000Z') }]);
+      const stream = Readable.from([
+        JSON.stringify({ ...log, timestamp: '2024-01-01T00:00:00.000Z' }) + '\n',
+        JSON.stringify({ ...log, timestamp: '2024-01-02T00:00:00.000Z' }) + '\n',
+        JSON.stringify({ ...log, timestamp: '2024-01-02T00:00:00.000Z' })
+      ]);
+
+      const result = await errsole.importLogs(stream, { dedupe: true });
+
+      expect(result).toEqual({ insertedCount: 1, skippedCount: 2, invalidCount: 0 });
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledWith([{ ...log, timestamp: new Date('2024-01-02T00:00:00.000Z'), fingerprint, metadata }], { ordered: false });
+    });
+
+    it('should throw an error for an unsupported format', async () => {
+      await expect(errsole.importLogs(Readable.from([]), { format: 'xml' })).rejects.toThrow('Unsupported import format: xml.');
+    });
+  });
+
+  describe('getLogStats', () => {
+    it('should count logs per hour over the last day by default', async () => {
+      jest.setSystemTime(new Date('2024-01-10T00:00:00Z'));
+      mockLogsCollection.toArray.mockResolvedValueOnce([
+        { _id: { timestamp: new Date('2024-01-09T10:00:00Z') }, count: 3 }
+      ]);
+
+      const result = await errsole.getLogStats();
+
+      expect(mockLogsCollection.aggregate).toHaveBeenCalledWith([
+        { $match: { timestamp: { $lte: new Date('2024-01-10T00:00:00Z'), $gte: new Date('2024-01-09T00:00:00Z') } } },
+        { $group: { _id: { timestamp: { $dateTrunc: { date: '$timestamp', unit: 'hour', timezone: 'UTC' } } }, count: { $sum: 1 } } },
+        { $sort: { '_id.timestamp': 1 } }
+      ]);
+      expect(result).toEqual({ items: [{ timestamp: new Date('2024-01-09T10:00:00Z'), count: 3 }] });
+    });
+
+    it('should group by the requested fields within the given range and filters', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([
+        { _id: { timestamp: new Date('2024-01-01T00:00:00Z'), hostname: 'host1', level: 'error' }, count: 2 }
+      ]);
+
+      const result = await errsole.getLogStats({
+        groupBy: ['hostname', 'level'],
+        interval: 'day',
+        hostnames: ['host1'],
+        gte_timestamp: '2024-01-01T00:00:00Z',
+        lte_timestamp: '2024-01-08T00:00:00Z'
+      });
+
+      expect(mockLogsCollection.aggregate).toHaveBeenCalledWith([
+        { $match: { hostname: { $in: ['host1'] }, timestamp: { $lte: new Date('2024-01-08T00:00:00Z'), $gte: new Date('2024-01-01T00:00:00Z') } } },
+        {
+          $group: {
+            _id: { timestamp: { $dateTrunc: { date: '$timestamp', unit: 'day', timezone: 'UTC' } }, hostname: '$hostname', level: '$level' },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.timestamp': 1, '_id.hostname': 1, '_id.level': 1 } }
+      ]);
+      expect(result).toEqual({ items: [{ timestamp: new Date('2024-01-01T00:00:00Z'), hostname: 'host1', level: 'error', count: 2 }] });
+    });
+
+    it('should reject unsupported groupBy fields and intervals', async () => {
+      await expect(errsole.getLogStats({ groupBy: ['message'] })).rejects.toThrow('Cannot group log statistics by message.');
+      await expect(errsole.getLogStats({ interval: 'week' })).rejects.toThrow('Unsupported log statistics interval: week.');
+    });
+  });
+
+  describe('issues', () => {
+    const errorLog = (message, overrides = {}) => ({ hostname: 'host1', source: 'console', level: 'error', message, timestamp: new Date('2024-01-01T00:00:00Z'), ...overrides });
+
+    beforeEach(async () => {
+      await errsole.ready();
+      await jest.advanceTimersByTimeAsync(0);
+      jest.clearAllMocks();
+    });
+
+    it('should give occurrences of the same error the same fingerprint', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.pendingLogs = [
+        errorLog('Error: User 42 not found at 2024-01-01T00:00:00.000Z\n    at getUser (/srv/app/users.js:10:5)'),
+        errorLog('Error: User 7 not found at 2024-01-02T10:20:30.000Z\n    at getUser (/home/app/users.js:12:9)'),
+        errorLog('Error: Order 507f1f77bcf86cd799439011 not found'),
+        { hostname: 'host1', source: 'console', level: 'info', message: 'User 42 logged in', timestamp: new Date() }
+      ];
+
+      await errsole.flushLogs();
+
+      const [logs] = mockLogsCollection.insertMany.mock.calls[0];
+      expect(logs[0].fingerprint).toMatch(/^[0-9a-f]{40}$/);
+      expect(logs[1].fingerprint).toBe(logs[0].fingerprint);
+      expect(logs[2].fingerprint).not.toBe(logs[0].fingerprint);
+      expect(logs[3].fingerprint).toBeUndefined();
+    });
+
+    it('should update the issues of the inserted logs after a flush', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.pendingLogs = [
+        errorLog('Timeout after 100ms'),
+        errorLog('Timeout after 250ms', { hostname: 'host2', timestamp: new Date('2024-01-01T00:05:00Z') })
+      ];
+
+      await errsole.flushLogs();
+
+      const fingerprint = mockLogsCollection.insertMany.mock.calls[0][0][0].fingerprint;
+      expect(mockDb.collection).toHaveBeenCalledWith('errsole_issues');
+      expect(mockLogsCollection.bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { fingerprint },
+          update: {
+            $setOnInsert: { source: 'console', level: 'error', message: 'Timeout after 100ms', status: 'open' },
+            $min: { first_seen: new Date('2024-01-01T00:00:00Z') },
+            $max: { last_seen: new Date('2024-01-01T00:05:00Z') },
+            $inc: { count: 2 },
+            $addToSet: { hostnames: { $each: ['host1', 'host2'] } }
+          },
+          upsert: true
+        }
+      }], { ordered: false });
+    });
+
+    it('should not count logs that failed to insert or were duplicates', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.flushRetryAttempts = 0;
+      errsole.pendingLogs = [errorLog('First failure'), errorLog('Second failure'), errorLog('Third failure')];
+      const error = new Error('Bulk write failed');
+      error.writeErrors = [{ index: 0, code: 11000 }, { index: 1, code: 121 }];
+      mockLogsCollection.insertMany.mockRejectedValueOnce(error);
+
+      await errsole.flushLogs();
+
+      const operations = mockLogsCollection.bulkWrite.mock.calls[0][0];
+      expect(operations).toHaveLength(1);
+      expect(operations[0].updateOne.update.$setOnInsert.message).toBe('Third failure');
+    });
+
+    it('should not update issues when no inserted log has a fingerprint', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.pendingLogs = [{ hostname: 'host1', source: 'console', level: 'info', message: 'Started' }];
+
+      await errsole.flushLogs();
+
+      expect(mockLogsCollection.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should report issue update failures without failing the flush', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.pendingLogs = [errorLog('Disk full')];
+      const error = new Error('Issue update failed');
+      mockLogsCollection.bulkWrite.mockRejectedValueOnce(error);
+
+      const result = await errsole.flushLogs();
+
+      expect(result).toEqual({});
+      expect(console.error).toHaveBeenCalledWith(error);
+    });
+
+    it('should retrieve issues seen within the time range, most recent first', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([
+        { _id: 'issue1', fingerprint: 'abc', count: 3, hostnames: ['host1'] }
+      ]);
+
+      const result = await errsole.getIssues({
+        hostnames: ['host1'],
+        gte_timestamp: '2024-01-01T00:00:00Z',
+        lte_timestamp: '2024-01-02T00:00:00Z'
+      });
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({
+        hostnames: { $in: ['host1'] },
+        last_seen: { $gte: new Date('2024-01-01T00:00:00Z') },
+        first_seen: { $lte: new Date('2024-01-02T00:00:00Z') }
+      });
+      expect(mockLogsCollection.sort).toHaveBeenCalledWith({ last_seen: -1, _id: -1 });
+      expect(mockLogsCollection.limit).toHaveBeenCalledWith(100);
+      expect(result).toEqual({ items: [{ id: 'issue1', fingerprint: 'abc', count: 3, hostnames: ['host1'] }] });
+    });
+
+    it('should sort issues by count and reject unsupported sort fields', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+
+      await errsole.getIssues({ sort: 'count', limit: 10 });
+
+      expect(mockLogsCollection.sort).toHaveBeenCalledWith({ count: -1, _id: -1 });
+      expect(mockLogsCollection.limit).toHaveBeenCalledWith(10);
+      await expect(errsole.getIssues({ sort: 'message' })).rejects.toThrow('Cannot sort issues by message.');
+    });
+
+    it('should retrieve the logs of an issue', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([{ _id: 'log1', message: 'Disk full', fingerprint: 'abc' }]);
+
+      const result = await errsole.getLogsByIssue('abc', { hostnames: ['host1'] });
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({ hostname: { $in: ['host1'] }, fingerprint: 'abc' }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+      expect(result.items).toEqual([{ id: 'log1', message: 'Disk full', fingerprint: 'abc' }]);
+    });
+    it('should open new issues', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.pendingLogs = [errorLog('Disk full')];
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
+
+      await errsole.flushLogs();
+
+      expect(mockLogsCollection.bulkWrite.mock.calls[0][0][0].updateOne.update.$setOnInsert.status).toBe('open');
+      expect(mockLogsCollection.find).toHaveBeenCalledWith(
+        { fingerprint: { $in: [expect.any(String)] }, status: 'resolved' },
+        { projection: { fingerprint: 1, resolved_at: 1 } }
+      );
+      expect(mockLogsCollection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should reopen a resolved issue and emit a regression when a newer log is inserted', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.pendingLogs = [errorLog('Disk full', { fingerprint: 'abc', timestamp: new Date('2024-01-02T00:00:00Z') })];
+      const resolvedAt = new Date('2024-01-01T12:00:00Z');
+      mockLogsCollection.toArray.mockResolvedValueOnce([{ _id: 'issue1', fingerprint: 'abc', resolved_at: resolvedAt }]);
+      mockLogsCollection.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+      mockLogsCollection.findOne.mockResolvedValueOnce({ _id: 'issue1', fingerprint: 'abc', status: 'open', count: 5 });
+      const regressions = [];
+      errsole.on('issueRegression', issue => regressions.push(issue));
+
+      await errsole.flushLogs();
+
+      expect(mockLogsCollection.updateOne).toHaveBeenCalledWith(
+        { _id: 'issue1', status: 'resolved', resolved_at: { $lt: new Date('2024-01-02T00:00:00Z') } },
+        { $set: { status: 'open' }, $unset: { resolved_at: '' } }
+      );
+      expect(regressions).toEqual([{ id: 'issue1', fingerprint: 'abc', status: 'open', count: 5, resolved_at: resolvedAt }]);
+    });
+
+    it('should not reopen a resolved issue for logs older than the resolution', async () => {
+      errsole.isConnectionInProgress = false;
+      errsole.pendingLogs = [errorLog('Disk full', { fingerprint: 'abc' })];
+      mockLogsCollection.toArray.mockResolvedValueOnce([{ _id: 'issue1', fingerprint: 'abc', resolved_at: new Date('2024-01-01T12:00:00Z') }]);
+      const regressionListener = jest.fn();
+      errsole.on('issueRegression', regressionListener);
+
+      await errsole.flushLogs();
+
+      expect(mockLogsCollection.updateOne).not.toHaveBeenCalled();
+      expect(regressionListener).not.toHaveBeenCalled();
+    });
+
+    it('should filter issues by status and assignee', async () => {
+      mockLogsCollection.toArray.mockResolvedValueOnce([]).mockResolvedValueOnce([]);
+
+      await errsole.getIssues({ status: 'open', assignee: 'user1' });
+      await errsole.getIssues({ status: 'ignored' });
+
+      expect(mockLogsCollection.find).toHaveBeenNthCalledWith(1, { status: { $in: ['open', null] }, assignee: 'user1' });
+      expect(mockLogsCollection.find).toHaveBeenNthCalledWith(2, { status: 'ignored' });
+    });
+  });
+
+  describe('updateIssue', () => {
+    beforeEach(async () => {
+      await errsole.ready();
+      await jest.advanceTimersByTimeAsync(0);
+      jest.clearAllMocks();
+    });
+
+    it('should resolve an issue and record the resolution time', async () => {
+      jest.setSystemTime(new Date('2024-01-05T00:00:00Z'));
+      mockLogsCollection.updateOne.mockResolvedValueOnce({ matchedCount: 1 });
+      mockLogsCollection.findOne.mockResolvedValueOnce({ _id: 'issue1', status: 'resolved', resolved_at: new Date('2024-01-05T00:00:00Z') });
+
+      const result = await errsole.updateIssue('issue1', { status: 'resolved' });
+
+      expect(mockLogsCollection.updateOne).toHaveBeenCalledWith(
+        { _id: new ObjectId('issue1') },
+        { $set: { status: 'resolved', resolved_at: new Date('2024-01-05T00:00:00Z') } }
+      );
+      expect(result).toEqual({ item: { id: 'issue1', status: 'resolved', resolved_at: new Date('2024-01-05T00:00:00Z') } });
+    });
+
+    it('should ignore an issue and assign it to an existing user', async () => {
+      mockUsersCollection.findOne.mockResolvedValueOnce({ _id: 'user1' });
+      mockLogsCollection.updateOne.mockResolvedValueOnce({ matchedCount: 1 });
+      mockLogsCollection.findOne.mockResolvedValueOnce({ _id: 'issue1', status: 'ignored', assignee: 'user1' });
+
+      await errsole.updateIssue('issue1', { status: 'ignored', assignee: 'user1' });
+
+      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ _id: new ObjectId('user1') }, { projection: { _id: 1 } });
+      expect(mockLogsCollection.updateOne).toHaveBeenCalledWith(
+        { _id: new ObjectId('issue1') },
+        { $set: { status: 'ignored', assignee: 'user1' }, $unset: { resolved_at: '' } }
+      );
+    });
+
+    it('should unassign an issue', async () => {
+      mockLogsCollection.updateOne.mockResolvedValueOnce({ matchedCount: 1 });
+      mockLogsCollection.findOne.mockResolvedValueOnce({ _id: 'issue1', status: 'open' });
+
+      await errsole.updateIssue('issue1', { assignee: null });
+
+      expect(mockLogsCollection.updateOne).toHaveBeenCalledWith({ _id: new ObjectId('issue1') }, { $set: {}, $unset: { assignee: '' } });
+    });
+
+    it('should reject invalid updates, unknown users and unknown issues', async () => {
+      await expect(errsole.updateIssue('issue1', { status: 'closed' })).rejects.toThrow('Unsupported issue status: closed.');
+      await expect(errsole.updateIssue('issue1', {})).rejects.toThrow('No issue updates provided.');
+
+      mockUsersCollection.findOne.mockResolvedValueOnce(null);
+      await expect(errsole.updateIssue('issue1', { assignee: 'missing' })).rejects.toThrow('User not found.');
+
+      mockLogsCollection.updateOne.mockResolvedValueOnce({ matchedCount: 0 });
+      await expect(errsole.updateIssue('missing', { status: 'open' })).rejects.toThrow('Issue not found.');
     });
+  });
 
-    it('should apply hostnames filter using $in operator when filters.hostnames is provided', async () => {
-      const searchTerms = ['error'];
-      const filters = { hostnames: ['host1', 'host2'] };
-      const mockLogs = [{ _id: '123', message: 'log1' }, { _id: '124', message: 'log2' }];
 
-      mockLogsCollection.toArray.mockResolvedValue(mockLogs);
+  describe('getLogContext', () => {
+    const timestamp = new Date('2024-01-01T00:00:00Z');
+    const entry = { _id: 'a5', hostname: 'host1', pid: 42, timestamp, message: 'failed' };
 
-      const result = await errsole.searchLogs(searchTerms, filters);
+    it('should retrieve the logs of the same host around the entry', async () => {
+      mockLogsCollection.findOne.mockResolvedValueOnce(entry);
+      mockLogsCollection.toArray
+        .mockResolvedValueOnce([{ _id: 'a4', message: 'log4' }, { _id: 'a3', message: 'log3' }])
+        .mockResolvedValueOnce([{ _id: 'a6', message: 'log6' }]);
 
-      expect(mockDb.collection).toHaveBeenCalledWith('errsole_logs_v2');
-      expect(mockLogsCollection.find).toHaveBeenCalledWith({
-        $text: { $search: '"error"' },
-        hostname: { $in: ['host1', 'host2'] }
-      }, { projection: { meta: 0 } });
-      expect(result.items.length).toBe(2);
+      const result = await errsole.getLogContext('a5', { before: 2, after: 2 });
+
+      expect(mockLogsCollection.findOne).toHaveBeenCalledWith({ _id: new ObjectId('a5') }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+      expect(mockLogsCollection.find).toHaveBeenNthCalledWith(1, {
+        hostname: 'host1',
+        $or: [{ timestamp: { $lt: timestamp } }, { timestamp, _id: { $lt: 'a5' } }]
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+      expect(mockLogsCollection.sort).toHaveBeenNthCalledWith(1, { timestamp: -1, _id: -1 });
+      expect(mockLogsCollection.find).toHaveBeenNthCalledWith(2, {
+        hostname: 'host1',
+        $or: [{ timestamp: { $gt: timestamp } }, { timestamp, _id: { $gt: 'a5' } }]
+      }, { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+      expect(mockLogsCollection.sort).toHaveBeenNthCalledWith(2, { timestamp: 1, _id: 1 });
+      expect(mockLogsCollection.limit).toHaveBeenCalledWith(2);
+      expect(result.items.map(item => item.id)).toEqual(['a3', 'a4', 'a5', 'a6']);
     });
 
-    it('should apply errsole_id filter and push to $or condition when filters.errsole_id is provided', async () => {
-      const searchTerms = ['error'];
-      const filters = { errsole_id: 101 };
-      const mockLogs = [{ _id: '123', message: 'log1' }];
+    it('should restrict the context to the same process or widen it to all hosts', async () => {
+      mockLogsCollection.findOne.mockResolvedValueOnce(entry);
+      mockLogsCollection.toArray.mockResolvedValueOnce([]);
 
-      mockLogsCollection.toArray.mockResolvedValue(mockLogs);
+      await errsole.getLogContext('a5', { after: 0, sameHostname: false, samePid: true });
 
-      const result = await errsole.searchLogs(searchTerms, filters);
+      expect(mockLogsCollection.find).toHaveBeenCalledTimes(1);
+      expect(mockLogsCollection.find).toHaveBeenCalledWith(expect.objectContaining({ pid: 42 }), { projection: { meta: 0, meta_fields: 0, metadata: 0 } });
+      expect(mockLogsCollection.find.mock.calls[0][0].hostname).toBeUndefined();
+      expect(mockLogsCollection.limit).toHaveBeenCalledWith(10);
+    });
 
-      expect(mockDb.collection).toHaveBeenCalledWith('errsole_logs_v2');
-      expect(mockLogsCollection.find).toHaveBeenCalledWith({
-        $text: { $search: '"error"' },
-        $or: [{ errsole_id: 101 }]
-      }, { projection: { meta: 0 } });
-      expect(result.items.length).toBe(1);
+    it('should throw an error if the log entry is not found', async () => {
+      mockLogsCollection.findOne.mockResolvedValueOnce(null);
+
+      await expect(errsole.getLogContext('missing')).rejects.toThrow('Log entry not found.');
     });
   });
 
@@ -833,6 +2562,309 @@ describe('ErrsoleMongoDB', () => {
       await errsole.ensureLogsTTL();
       expect(errsole.updateLogsCollectionTTL).toHaveBeenCalledWith('2592000000');
     });
+
+    it('should extend the logs collection TTL to the longest retention rule', async () => {
+      errsole.getConfig = jest.fn().mockImplementation(async key => {
+        if (key === 'logsTTL') return { item: { value: '86400000' } };
+        return { item: { value: JSON.stringify([{ level: 'error', ttl: 7776000000 }, { level: 'debug', ttl: 3600000 }]) } };
+      });
+      errsole.updateLogsCollectionTTL = jest.fn().mockResolvedValue({});
+      errsole.updateNotificationsCollectionTTL = jest.fn().mockResolvedValue({});
+
+      await errsole.ensureLogsTTL();
+
+      expect(errsole.updateLogsCollectionTTL).toHaveBeenCalledWith(7776000000);
+      expect(errsole.updateNotificationsCollectionTTL).toHaveBeenCalledWith('86400000');
+    });
+  });
+
+  describe('retention rules', () => {
+    it('should return no rules when none are configured', async () => {
+      errsole.getConfig = jest.fn().mockResolvedValue({});
+
+      const result = await errsole.getRetentionRules();
+
+      expect(errsole.getConfig).toHaveBeenCalledWith('logsRetentionRules');
+      expect(result).toEqual({ items: [] });
+    });
+
+    it('should store normalized rules and update the logs TTL', async () => {
+      errsole.setConfig = jest.fn().mockResolvedValue({});
+      errsole.ensureLogsTTL = jest.fn().mockResolvedValue({});
+
+      const result = await errsole.setRetentionRules([{ source: 'console', level: 'debug', ttl: '86400000', extra: true }]);
+
+      expect(result).toEqual({ items: [{ source: 'console', level: 'debug', ttl: 86400000 }] });
+      expect(errsole.setConfig).toHaveBeenCalledWith('logsRetentionRules', JSON.stringify([{ source: 'console', level: 'debug', ttl: 86400000 }]));
+      expect(errsole.ensureLogsTTL).toHaveBeenCalled();
+    });
+
+    it('should reject rules without a selector or a positive ttl', async () => {
+      await expect(errsole.setRetentionRules([{ ttl: 1000 }])).rejects.toThrow('Each retention rule must specify a source, a level, or both.');
+      await expect(errsole.setRetentionRules([{ level: 'info', ttl: -1 }])).rejects.toThrow('Each retention rule must specify a positive ttl in milliseconds.');
+      await expect(errsole.setRetentionRules({})).rejects.toThrow('Retention rules must be an array.');
+    });
+
+    it('should delete logs past their first matching rule and unmatched logs past logsTTL', async () => {
+      jest.setSystemTime(new Date('2024-01-10T00:00:00Z'));
+      const rules = [{ level: 'debug', ttl: 86400000 }, { source: 'console', ttl: 172800000 }];
+      errsole.getConfig = jest.fn().mockImplementation(async key => {
+        if (key === 'logsTTL') return { item: { value: '259200000' } };
+        return { item: { value: JSON.stringify(rules) } };
+      });
+      mockLogsCollection.deleteMany.mockResolvedValueOnce({ deletedCount: 0 }).mockResolvedValue({ deletedCount: 1 });
+      const onPruned = jest.fn();
+      errsole.on('logsPruned', onPruned);
+
+      const result = await errsole.applyRetentionRules();
+
+      const notRestored = { $exists: false };
+      expect(mockLogsCollection.deleteMany).toHaveBeenNthCalledWith(1, { restored_at: { $lt: new Date('2024-01-03T00:00:00Z') } });
+      expect(mockLogsCollection.deleteMany).toHaveBeenNthCalledWith(2, {
+        level: 'debug',
+        timestamp: { $lt: new Date('2024-01-09T00:00:00Z') },
+        restored_at: notRestored
+      });
+      expect(mockLogsCollection.deleteMany).toHaveBeenNthCalledWith(3, {
+        source: 'console',
+        timestamp: { $lt: new Date('2024-01-08T00:00:00Z') },
+        restored_at: notRestored,
+        $nor: [{ level: 'debug' }]
+      });
+      expect(mockLogsCollection.deleteMany).toHaveBeenNthCalledWith(4, {
+        $nor: [{ level: 'debug' }, { source: 'console' }],
+        timestamp: { $lt: new Date('2024-01-07T00:00:00Z') },
+        restored_at: notRestored
+      });
+      expect(result).toEqual({ deletedCount: 3 });
+      expect(onPruned).toHaveBeenCalledWith({ deletedCount: 3 });
+    });
+  });
+
+  describe('pruneLogs', () => {
+    const mockLimits = (maxCount, maxSizeBytes) => {
+      mockLogsCollection.findOne
+        .mockResolvedValueOnce(maxCount ? { _id: 'id1', key: 'logsMaxCount', value: String(maxCount) } : null)
+        .mockResolvedValueOnce(maxSizeBytes ? { _id: 'id2', key: 'logsMaxSizeBytes', value: String(maxSizeBytes) } : null);
+    };
+
+    it('should do nothing when no limits are configured', async () => {
+      mockLimits(0, 0);
+
+      const result = await errsole.pruneLogs();
+
+      expect(result).toEqual({ deletedCount: 0 });
+      expect(mockLogsCollection.estimatedDocumentCount).not.toHaveBeenCalled();
+      expect(mockLogsCollection.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should delete the oldest logs above logsMaxCount and emit logsPruned', async () => {
+      mockLimits(100, 0);
+      mockLogsCollection.estimatedDocumentCount.mockResolvedValueOnce(102);
+      mockLogsCollection.toArray.mockResolvedValueOnce([{ _id: 'a' }, { _id: 'b' }]);
+      mockLogsCollection.deleteMany.mockResolvedValueOnce({ deletedCount: 2 });
+      const onPruned = jest.fn();
+      errsole.on('logsPruned', onPruned);
+
+      const result = await errsole.pruneLogs();
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({}, { projection: { _id: 1 } });
+      expect(mockLogsCollection.sort).toHaveBeenCalledWith({ timestamp: 1, _id: 1 });
+      expect(mockLogsCollection.limit).toHaveBeenCalledWith(2);
+      expect(mockLogsCollection.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['a', 'b'] } });
+      expect(result).toEqual({ deletedCount: 2 });
+      expect(onPruned).toHaveBeenCalledWith({ deletedCount: 2 });
+    });
+
+    it('should estimate the logs to delete from the collection size above logsMaxSizeBytes', async () => {
+      mockLimits(0, 1000);
+      mockLogsCollection.estimatedDocumentCount.mockResolvedValueOnce(10);
+      mockLogsCollection.toArray
+        .mockResolvedValueOnce([{ storageStats: { size: 2000 } }])
+        .mockResolvedValueOnce([{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }, { _id: 'd' }, { _id: 'e' }]);
+      mockLogsCollection.deleteMany.mockResolvedValueOnce({ deletedCount: 5 });
+
+      const result = await errsole.pruneLogs();
+
+      expect(mockLogsCollection.aggregate).toHaveBeenCalledWith([{ $collStats: { storageStats: {} } }]);
+      expect(mockLogsCollection.limit).toHaveBeenCalledWith(5);
+      expect(result).toEqual({ deletedCount: 5 });
+    });
+
+    it('should not delete anything when the collection is within the limits', async () => {
+      mockLimits(100, 0);
+      mockLogsCollection.estimatedDocumentCount.mockResolvedValueOnce(50);
+
+      const result = await errsole.pruneLogs();
+
+      expect(result).toEqual({ deletedCount: 0 });
+      expect(mockLogsCollection.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('archiving', () => {
+    let archiveDirectory;
+
+    beforeEach(() => {
+      archiveDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'errsole-archive-'));
+      errsole.archiveDirectory = archiveDirectory;
+      mockLogsCollection.insertMany.mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      fs.rmSync(archiveDirectory, { recursive: true, force: true });
+    });
+
+    const readArchive = filePath => zlib.gunzipSync(fs.readFileSync(filePath)).toString().trim().split('\n').map(line => JSON.parse(line));
+
+    // Evaluates the equality, $lt and $exists conditions of the retention queries and the TTL index filter like the database.
+    const matchesQuery = (doc, query) => Object.entries(query).every(([field, condition]) => {
+      const value = field.split('.').reduce((parent, key) => parent === undefined ? undefined : parent[key], doc);
+      if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+        return value === condition;
+      }
+      return Object.entries(condition).every(([operator, operand]) => operator === '$exists' ? (value !== undefined) === operand : value !== undefined && value < operand);
+    });
+
+    it('should write logs to gzip NDJSON files partitioned by day and hostname', async () => {
+      const logs = [
+        { _id: 'a', hostname: 'host1', timestamp: new Date('2024-01-01T10:00:00Z'), message: 'log1', meta: '{"a":1}', meta_fields: { a: 1 } },
+        { _id: 'b', hostname: 'host/2', timestamp: new Date('2024-01-01T11:00:00Z'), message: 'log2' },
+        { _id: 'c', hostname: 'host1', timestamp: new Date('2024-01-02T10:00:00Z'), message: 'log3', metadata: { hostname: 'host1' } }
+      ];
+
+      const result = await errsole.archiveLogs(logs);
+      await errsole.archiveLogs([{ _id: 'd', hostname: 'host1', timestamp: new Date('2024-01-01T12:00:00Z'), message: 'log4' }]);
+
+      expect(result).toEqual({ archivedCount: 3 });
+      expect(readArchive(path.join(archiveDirectory, '2024-01-01', 'host1.ndjson.gz'))).toEqual([
+        { _id: 'a', hostname: 'host1', timestamp: '2024-01-01T10:00:00.000Z', message: 'log1', meta: '{"a":1}' },
+        { _id: 'd', hostname: 'host1', timestamp: '2024-01-01T12:00:00.000Z', message: 'log4' }
+      ]);
+      expect(readArchive(path.join(archiveDirectory, '2024-01-01', 'host_2.ndjson.gz'))).toHaveLength(1);
+      expect(readArchive(path.join(archiveDirectory, '2024-01-02', 'host1.ndjson.gz'))).toEqual([
+        { _id: 'c', hostname: 'host1', timestamp: '2024-01-02T10:00:00.000Z', message: 'log3' }
+      ]);
+    });
+
+    it('should archive logs before deleting them', async () => {
+      const logs = [{ _id: 'a', hostname: 'host1', timestamp: new Date('2024-01-01T10:00:00Z'), message: 'log1' }];
+      mockLogsCollection.toArray.mockResolvedValueOnce(logs);
+      mockLogsCollection.deleteMany.mockResolvedValueOnce({ deletedCount: 1 });
+
+      const result = await errsole.removeLogs({ level: 'debug' });
+
+      expect(mockLogsCollection.find).toHaveBeenCalledWith({ level: 'debug' });
+      expect(mockLogsCollection.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['a'] } });
+      expect(result).toEqual({ deletedCount: 1 });
+      expect(readArchive(path.join(archiveDirectory, '2024-01-01', 'host1.ndjson.gz'))).toHaveLength(1);
+    });
+
+    it('should delete logs past logsTTL itself when archiving without retention rules', async () => {
+      jest.setSystemTime(new Date('2024-01-10T00:00:00Z'));
+      errsole.getConfig = jest.fn().mockImplementation(async key => key === 'logsTTL' ? { item: { value: '86400000' } } : {});
+      errsole.removeLogs = jest.fn().mockResolvedValue({ deletedCount: 0 });
+
+      await errsole.applyRetentionRules();
+
+      expect(errsole.removeLogs).toHaveBeenCalledWith({ restored_at: { $lt: new Date('2024-01-03T00:00:00Z') } });
+      expect(errsole.removeLogs).toHaveBeenCalledWith({
+        timestamp: { $lt: new Date('2024-01-09T00:00:00Z') },
+        restored_at: { $exists: false }
+      });
+    });
+
+    it('should extend the logs collection TTL by the archive grace period', async () => {
+      errsole.getConfig = jest.fn().mockImplementation(async key => key === 'logsTTL' ? { item: { value: '86400000' } } : {});
+      errsole.updateLogsCollectionTTL = jest.fn().mockResolvedValue({});
+      errsole.updateNotificationsCollectionTTL = jest.fn().mockResolvedValue({});
+
+      await errsole.ensureLogsTTL();
+
+      expect(errsole.updateLogsCollectionTTL).toHaveBeenCalledWith(172800000);
+    });
+
+    it('should restore archived logs from a directory', async () => {
+      await errsole.archiveLogs([
+        { _id: '65a000000000000000000001', hostname: 'host1', timestamp: new Date('2024-01-01T10:00:00Z'), message: 'log1' },
+        { _id: '65a000000000000000000002', hostname: 'host2', timestamp: new Date('2024-01-02T10:00:00Z'), message: 'log2' }
+      ]);
+
+      const result = await errsole.restoreArchive(archiveDirectory);
+
+      expect(result).toEqual({ restoredCount: 2, skippedCount: 0, failedCount: 0 });
+      expect(mockLogsCollection.insertMany).toHaveBeenCalledTimes(2);
+      expect(mockLogsCollection.insertMany).toHaveBeenNthCalledWith(1, [{
+        _id: new ObjectId('65a000000000000000000001'),
+        hostname: 'host1',
+        timestamp: new Date('2024-01-01T10:00:00Z'),
+        message: 'log1',
+        restored_at: expect.any(Date),
+        metadata: { expires: false }
+      }], { ordered: false });
+    });
+
+    it('should count archived logs that are already stored as skipped', async () => {
+      await errsole.archiveLogs([
+        { _id: '65a000000000000000000001', hostname: 'host1', timestamp: new Date('2024-01-01T10:00:00Z'), message: 'log1' },
+        { _id: '65a000000000000000000002', hostname: 'host1', timestamp: new Date('2024-01-01T11:00:00Z'), message: 'log2' },
+        { _id: '65a000000000000000000003', hostname: 'host1', timestamp: new Date('2024-01-01T12:00:00Z'), message: 'log3' }
+      ]);
+      mockLogsCollection.insertMany.mockRejectedValueOnce({ code: 11000, writeErrors: [{ index: 0, code: 11000 }, { index: 2, code: 121 }] });
+
+      const result = await errsole.restoreArchive(archiveDirectory);
+
+      expect(result).toEqual({ restoredCount: 1, skippedCount: 1, failedCount: 1 });
+    });
+
+    it('should keep restored logs for restoreRetention and not archive them again', async () => {
+      jest.setSystemTime(new Date('2024-03-01T00:00:00Z'));
+      const archivedLog = { _id: '65a000000000000000000001', hostname: 'host1', timestamp: new Date('2024-01-01T10:00:00Z'), message: 'log1' };
+      await errsole.archiveLogs([archivedLog]);
+      const archivePath = path.join(archiveDirectory, '2024-01-01', 'host1.ndjson.gz');
+      await errsole.restoreArchive(archiveDirectory);
+      const [[[restoredLog]]] = mockLogsCollection.insertMany.mock.calls;
+      expect(restoredLog.restored_at).toEqual(new Date('2024-03-01T00:00:00Z'));
+
+      // The database evaluates the queries against the stored logs.
+      let storedLogs = [{ _id: 'b', hostname: 'host1', timestamp: new Date('2024-01-01T11:00:00Z'), message: 'log2' }, restoredLog];
+      mockLogsCollection.toArray.mockImplementation(async () => storedLogs.filter(log => matchesQuery(log, mockLogsCollection.find.mock.calls.at(-1)[0])));
+      mockLogsCollection.deleteMany.mockImplementation(async ({ _id: { $in: ids } }) => {
+        storedLogs = storedLogs.filter(log => !ids.includes(log._id));
+        return { deletedCount: ids.length };
+      });
+      errsole.getConfig = jest.fn().mockImplementation(async key => key === 'logsTTL' ? { item: { value: '86400000' } } : {});
+
+      jest.setSystemTime(new Date('2024-03-02T00:00:00Z'));
+      await errsole.applyRetentionRules();
+
+      expect(storedLogs).toEqual([restoredLog]);
+      expect(readArchive(archivePath).map(log => log.message)).toEqual(['log1', 'log2']);
+
+      jest.setSystemTime(new Date('2024-03-09T00:00:00Z'));
+      await errsole.applyRetentionRules();
+
+      expect(storedLogs).toEqual([]);
+      expect(readArchive(archivePath).map(log => log.message)).toEqual(['log1', 'log2']);
+      mockLogsCollection.toArray.mockReset();
+      mockLogsCollection.deleteMany.mockReset();
+    });
+
+    it('should leave restored logs out of the TTL index', async () => {
+      jest.setSystemTime(new Date('2024-03-01T00:00:00Z'));
+      mockLogsCollection.indexes.mockResolvedValueOnce([]);
+      await errsole.updateLogsCollectionTTL(2592000000 + errsole.archiveGracePeriod);
+      await errsole.archiveLogs([{ _id: '65a000000000000000000001', hostname: 'host1', timestamp: new Date('2024-01-01T10:00:00Z'), message: 'log1' }]);
+      await errsole.restoreArchive(archiveDirectory);
+      await errsole.insertLogs([{ hostname: 'host1', timestamp: new Date('2024-01-01T11:00:00Z'), message: 'log2' }]);
+
+      const [, { expireAfterSeconds, partialFilterExpression }] = mockLogsCollection.createIndex.mock.calls.at(-1);
+      const [[[restoredLog]], [[log]]] = mockLogsCollection.insertMany.mock.calls;
+      expect(expireAfterSeconds).toBe(2678400);
+      expect(restoredLog.timestamp.getTime()).toBeLessThan(Date.now() - expireAfterSeconds * 1000);
+      expect(matchesQuery(restoredLog, partialFilterExpression)).toBe(false);
+      expect(matchesQuery(log, partialFilterExpression)).toBe(true);
+    });
   });
 
   describe('createUser', () => {
@@ -863,7 +2895,7 @@ describe('ErrsoleMongoDB', () => {
         role: 'admin',
         hashed_password: hashedPassword
       });
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ _id: insertedId }, { projection: { hashed_password: 0 } });
+      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ _id: insertedId }, { projection: { hashed_password: 0, password_history: 0 } });
       expect(result).toEqual({ item: { id: insertedId.toString(), name: 'John', email: 'john@example.com', role: 'admin' } });
     });
 
@@ -926,6 +2958,62 @@ describe('ErrsoleMongoDB', () => {
         hashed_password: hashedPassword
       });
     });
+
+    it('should accept any non-empty password with the default password policy', async () => {
+      const insertedId = new ObjectId();
+      bcrypt.hash.mockResolvedValueOnce('hashed_password');
+      mockUsersCollection.insertOne.mockResolvedValueOnce({ insertedId });
+      mockUsersCollection.findOne.mockResolvedValueOnce({ _id: insertedId, name: 'John', email: 'john@example.com', role: 'admin' });
+
+      await errsole.createUser({ name: 'John', email: 'john@example.com', password: 'a', role: 'admin' });
+
+      expect(bcrypt.hash).toHaveBeenCalledWith('a', 10);
+      await expect(errsole.createUser({ name: 'John', email: 'john@example.com', password: '', role: 'admin' })).rejects.toThrow('Password must be provided.');
+    });
+
+    it('should reject a password shorter than the configured minimum length', async () => {
+      errsole.passwordPolicy.minLength = 8;
+      const user = { name: 'John', email: 'john@example.com', password: 'short', role: 'admin' };
+
+      await expect(errsole.createUser(user)).rejects.toThrow('Password must be at least 8 characters long.');
+
+      expect(bcrypt.hash).not.toHaveBeenCalled();
+      expect(mockUsersCollection.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('should enforce the character classes of the configured password policy', async () => {
+      const strict = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', {
+        passwordPolicy: { minLength: 10, requireUppercase: true, requireDigit: true, requireSymbol: true }
+      });
+      await strict.ready();
+      const user = { name: 'John', email: 'john@example.com', role: 'admin' };
+
+      await expect(strict.createUser({ ...user, password: 'password12' })).rejects.toThrow('Password must contain an uppercase letter.');
+      await expect(strict.createUser({ ...user, password: 'Password!!' })).rejects.toThrow('Password must contain a digit.');
+      await expect(strict.createUser({ ...user, password: 'Password12' })).rejects.toThrow('Password must contain a symbol.');
+      await expect(strict.createUser({ ...user, password: 'Pass12!' })).rejects.toThrow('Password must be at least 10 characters long.');
+      expect(mockUsersCollection.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('should hash with the configured cost and start the password history', async () => {
+      const custom = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { passwordHashCost: 12, passwordPolicy: { historySize: 3 } });
+      await custom.ready();
+      const insertedId = new ObjectId();
+      bcrypt.hash.mockResolvedValueOnce('hashed_password');
+      mockUsersCollection.insertOne.mockResolvedValueOnce({ insertedId });
+      mockUsersCollection.findOne.mockResolvedValueOnce({ _id: insertedId, name: 'John', email: 'john@example.com', role: 'admin' });
+
+      await custom.createUser({ name: 'John', email: 'john@example.com', password: 'Password1!', role: 'admin' });
+
+      expect(bcrypt.hash).toHaveBeenCalledWith('Password1!', 12);
+      expect(mockUsersCollection.insertOne).toHaveBeenCalledWith({
+        name: 'John',
+        email: 'john@example.com',
+        role: 'admin',
+        hashed_password: 'hashed_password',
+        password_history: ['hashed_password']
+      });
+    });
   });
 
   describe('verifyUser', () => {
@@ -947,11 +3035,27 @@ describe('ErrsoleMongoDB', () => {
     it('should throw an error if user is not found', async () => {
       const email = 'nonexistent@example.com';
       mockUsersCollection.findOne.mockResolvedValue(null);
+      bcrypt.hash.mockResolvedValueOnce('dummy_hash');
 
-      await expect(errsole.verifyUser(email, 'password')).rejects.toThrow('User not found.');
+      await expect(errsole.verifyUser(email, 'password')).rejects.toThrow('Invalid email or password.');
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
       expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email });
+      expect(bcrypt.compare).toHaveBeenCalledWith('password', 'dummy_hash');
+    });
+
+    it('should hash the dummy password once with the configured cost', async () => {
+      const custom = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { passwordHashCost: 12 });
+      await custom.ready();
+      mockUsersCollection.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+      bcrypt.hash.mockResolvedValueOnce('dummy_hash');
+
+      await expect(custom.verifyUser('nonexistent@example.com', 'password')).rejects.toThrow('Invalid email or password.');
+      await expect(custom.verifyUser('nonexistent@example.com', 'password')).rejects.toThrow('Invalid email or password.');
+
+      expect(bcrypt.hash).toHaveBeenCalledTimes(1);
+      expect(bcrypt.hash).toHaveBeenCalledWith(expect.any(String), 12);
+      expect(bcrypt.compare).toHaveBeenNthCalledWith(2, 'password', 'dummy_hash');
     });
 
     it('should throw an error if password is incorrect', async () => {
@@ -964,13 +3068,108 @@ describe('ErrsoleMongoDB', () => {
       };
 
       mockUsersCollection.findOne.mockResolvedValue(user);
+      mockUsersCollection.findOneAndUpdate.mockResolvedValueOnce({ _id: user._id, failed_login_attempts: 1 });
       bcrypt.compare.mockResolvedValue(false);
 
-      await expect(errsole.verifyUser(email, password)).rejects.toThrow('Incorrect password.');
+      await expect(errsole.verifyUser(email, password)).rejects.toThrow('Invalid email or password.');
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
       expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email });
       expect(bcrypt.compare).toHaveBeenCalledWith(password, user.hashed_password);
+      expect(mockUsersCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: user._id },
+        { $inc: { failed_login_attempts: 1 } },
+        { returnDocument: 'after', projection: { failed_login_attempts: 1 } }
+      );
+      expect(mockUsersCollection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should lock the user out when the failed attempts reach maxLoginAttempts', async () => {
+      const user = { _id: new ObjectId(), email: 'john@example.com', hashed_password: 'hashed_password', failed_login_attempts: 4 };
+      mockUsersCollection.findOne.mockResolvedValueOnce(user);
+      mockUsersCollection.findOneAndUpdate.mockResolvedValueOnce({ _id: user._id, failed_login_attempts: 5 });
+      bcrypt.compare.mockResolvedValueOnce(false);
+      const now = Date.now();
+
+      await expect(errsole.verifyUser(user.email, 'wrongpassword')).rejects.toThrow('Invalid email or password.');
+
+      const [filter, update] = mockUsersCollection.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: user._id });
+      expect(update.$set.failed_login_attempts).toBe(0);
+      expect(update.$set.locked_until.getTime()).toBeGreaterThanOrEqual(now + 900000);
+    });
+
+    it('should honor the configured maxLoginAttempts and loginLockoutDuration', async () => {
+      const custom = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { maxLoginAttempts: 3, loginLockoutDuration: 60000 });
+      await custom.ready();
+      const user = { _id: new ObjectId(), email: 'john@example.com', hashed_password: 'hashed_password' };
+      mockUsersCollection.findOne.mockResolvedValueOnce(user);
+      mockUsersCollection.findOneAndUpdate.mockResolvedValueOnce({ _id: user._id, failed_login_attempts: 3 });
+      bcrypt.compare.mockResolvedValueOnce(false);
+      const now = Date.now();
+
+      await expect(custom.verifyUser(user.email, 'wrongpassword')).rejects.toThrow('Invalid email or password.');
+
+      const update = mockUsersCollection.updateOne.mock.calls[0][1];
+      expect(update.$set.locked_until.getTime()).toBeGreaterThanOrEqual(now + 60000);
+      expect(update.$set.locked_until.getTime()).toBeLessThan(now + 900000);
+    });
+
+    it('should reject a locked out user after comparing the password against a dummy hash', async () => {
+      const user = { _id: new ObjectId(), email: 'john@example.com', hashed_password: 'hashed_password', locked_until: new Date(Date.now() + 60000) };
+      mockUsersCollection.findOne.mockResolvedValueOnce(user);
+      bcrypt.hash.mockResolvedValueOnce('dummy_hash');
+      bcrypt.compare.mockResolvedValueOnce(false);
+
+      await expect(errsole.verifyUser(user.email, 'password')).rejects.toThrow('Invalid email or password.');
+
+      expect(bcrypt.compare).toHaveBeenCalledTimes(1);
+      expect(bcrypt.compare).toHaveBeenCalledWith('password', 'dummy_hash');
+      expect(bcrypt.compare).not.toHaveBeenCalledWith('password', user.hashed_password);
+      expect(mockUsersCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should clear an expired lockout and the failed attempts on a successful login', async () => {
+      const user = { _id: new ObjectId(), email: 'john@example.com', name: 'John', hashed_password: 'hashed_password', failed_login_attempts: 2, locked_until: new Date(Date.now() - 1000) };
+      mockUsersCollection.findOne.mockResolvedValueOnce(user);
+      bcrypt.compare.mockResolvedValueOnce(true);
+
+      const result = await errsole.verifyUser(user.email, 'password');
+
+      expect(mockUsersCollection.updateOne).toHaveBeenCalledWith({ _id: user._id }, { $unset: { failed_login_attempts: '', locked_until: '' } });
+      expect(result).toEqual({ item: { id: user._id.toString(), email: user.email, name: user.name } });
+    });
+
+    it('should rehash the password when it was hashed with a lower cost than configured', async () => {
+      const custom = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { passwordHashCost: 12 });
+      await custom.ready();
+      const user = { _id: new ObjectId(), email: 'john@example.com', hashed_password: 'hashed_password', password_history: ['hashed_password'] };
+      mockUsersCollection.findOne.mockResolvedValueOnce(user);
+      bcrypt.compare.mockResolvedValueOnce(true);
+      bcrypt.getRounds.mockReturnValueOnce(10);
+      bcrypt.hash.mockResolvedValueOnce('rehashed_password');
+
+      const result = await custom.verifyUser(user.email, 'password');
+
+      expect(bcrypt.getRounds).toHaveBeenCalledWith('hashed_password');
+      expect(bcrypt.hash).toHaveBeenCalledWith('password', 12);
+      expect(mockUsersCollection.updateOne).toHaveBeenCalledWith(
+        { _id: user._id, hashed_password: 'hashed_password' },
+        { $set: { hashed_password: 'rehashed_password' } }
+      );
+      expect(result).toEqual({ item: { id: user._id.toString(), email: user.email } });
+    });
+
+    it('should not rehash the password when it was hashed with the configured cost', async () => {
+      const user = { _id: new ObjectId(), email: 'john@example.com', hashed_password: 'hashed_password' };
+      mockUsersCollection.findOne.mockResolvedValueOnce(user);
+      bcrypt.compare.mockResolvedValueOnce(true);
+      bcrypt.getRounds.mockReturnValueOnce(10);
+
+      await errsole.verifyUser(user.email, 'password');
+
+      expect(bcrypt.hash).not.toHaveBeenCalled();
+      expect(mockUsersCollection.updateOne).not.toHaveBeenCalled();
     });
 
     it('should verify the user successfully if email and password are correct', async () => {
@@ -1001,6 +3200,7 @@ describe('ErrsoleMongoDB', () => {
       };
 
       expect(result).toEqual({ item: expectedUser });
+      expect(mockUsersCollection.updateOne).not.toHaveBeenCalled();
     });
 
     it('should propagate database error during retrieval', async () => {
@@ -1037,6 +3237,33 @@ describe('ErrsoleMongoDB', () => {
     });
   });
 
+  describe('unlockUser', () => {
+    let errsole;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      errsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db');
+    });
+
+    it('should clear the lockout and the failed attempts of the user', async () => {
+      mockUsersCollection.updateOne.mockResolvedValueOnce({ matchedCount: 1, modifiedCount: 1 });
+
+      const result = await errsole.unlockUser('john@example.com');
+
+      expect(mockUsersCollection.updateOne).toHaveBeenCalledWith(
+        { email: 'john@example.com' },
+        { $unset: { failed_login_attempts: '', locked_until: '' } }
+      );
+      expect(result).toEqual({});
+    });
+
+    it('should throw an error if the user is not found', async () => {
+      mockUsersCollection.updateOne.mockResolvedValueOnce({ matchedCount: 0, modifiedCount: 0 });
+
+      await expect(errsole.unlockUser('nonexistent@example.com')).rejects.toThrow('User not found.');
+    });
+  });
+
   describe('getUserCount', () => {
     let errsole;
 
@@ -1098,7 +3325,7 @@ describe('ErrsoleMongoDB', () => {
       const result = await errsole.getAllUsers();
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
-      expect(mockUsersCollection.find).toHaveBeenCalledWith({}, { projection: { hashed_password: 0 } });
+      expect(mockUsersCollection.find).toHaveBeenCalledWith({}, { projection: { hashed_password: 0, password_history: 0 } });
       expect(result.items.length).toBe(2);
       expect(result.items).toEqual(formattedUsers);
     });
@@ -1109,7 +3336,7 @@ describe('ErrsoleMongoDB', () => {
       const result = await errsole.getAllUsers();
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
-      expect(mockUsersCollection.find).toHaveBeenCalledWith({}, { projection: { hashed_password: 0 } });
+      expect(mockUsersCollection.find).toHaveBeenCalledWith({}, { projection: { hashed_password: 0, password_history: 0 } });
       expect(result.items).toEqual([]);
     });
 
@@ -1120,7 +3347,7 @@ describe('ErrsoleMongoDB', () => {
       await expect(errsole.getAllUsers()).rejects.toThrow('Database retrieval error');
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
-      expect(mockUsersCollection.find).toHaveBeenCalledWith({}, { projection: { hashed_password: 0 } });
+      expect(mockUsersCollection.find).toHaveBeenCalledWith({}, { projection: { hashed_password: 0, password_history: 0 } });
     });
   });
 
@@ -1154,7 +3381,7 @@ describe('ErrsoleMongoDB', () => {
       const result = await errsole.getUserByEmail(email);
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0 } });
+      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0, password_history: 0 } });
       expect(result).toEqual({ item: { id: user._id.toString(), name: user.name, email: user.email, role: user.role } });
     });
 
@@ -1166,7 +3393,7 @@ describe('ErrsoleMongoDB', () => {
       await expect(errsole.getUserByEmail(email)).rejects.toThrow('User not found.');
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0 } });
+      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0, password_history: 0 } });
     });
 
     it('should handle database retrieval errors', async () => {
@@ -1178,7 +3405,7 @@ describe('ErrsoleMongoDB', () => {
       await expect(errsole.getUserByEmail(email)).rejects.toThrow('Database retrieval error');
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0 } });
+      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0, password_history: 0 } });
     });
   });
 
@@ -1214,7 +3441,7 @@ describe('ErrsoleMongoDB', () => {
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
       expect(mockUsersCollection.updateOne).toHaveBeenCalledWith({ email }, { $set: updates });
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0 } });
+      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0, password_history: 0 } });
       expect(result).toEqual({ item: { id: updatedUser._id.toString(), name: 'John Doe', email: 'john@example.com', role: 'admin' } });
     });
 
@@ -1255,7 +3482,7 @@ describe('ErrsoleMongoDB', () => {
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
       expect(mockUsersCollection.updateOne).toHaveBeenCalledWith({ email }, { $set: updates });
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0 } });
+      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0, password_history: 0 } });
     });
 
     it('should remove the hashed password from the updates if it exists', async () => {
@@ -1275,7 +3502,7 @@ describe('ErrsoleMongoDB', () => {
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
       expect(mockUsersCollection.updateOne).toHaveBeenCalledWith({ email }, { $set: { name: 'John Doe' } });
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0 } });
+      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0, password_history: 0 } });
       expect(result).toEqual({ item: { id: updatedUser._id.toString(), name: 'John Doe', email: 'john@example.com', role: 'admin' } });
     });
 
@@ -1308,7 +3535,7 @@ describe('ErrsoleMongoDB', () => {
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
       expect(mockUsersCollection.updateOne).toHaveBeenCalledWith({ email }, { $set: updates });
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0 } });
+      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email }, { projection: { hashed_password: 0, password_history: 0 } });
       expect(result).toEqual({ item: { id: updatedUser._id.toString(), name: 'John Doe', email: 'john@example.com', role: 'admin' } });
     });
   });
@@ -1359,6 +3586,8 @@ describe('ErrsoleMongoDB', () => {
         { email },
         { $set: { hashed_password: hashedNewPassword } }
       );
+      expect(mockDb.collection).toHaveBeenCalledWith('errsole_password_resets');
+      expect(mockLogsCollection.deleteMany).toHaveBeenCalledWith({ user_id: user._id });
 
       const expectedUser = { ...user, id: user._id.toString() };
       delete expectedUser._id;
@@ -1419,6 +3648,7 @@ describe('ErrsoleMongoDB', () => {
       mockUsersCollection.updateOne.mockResolvedValue({ modifiedCount: 0 });
 
       await expect(errsole.updatePassword(email, currentPassword, newPassword)).rejects.toThrow('Password update failed.');
+      expect(mockLogsCollection.deleteMany).not.toHaveBeenCalled();
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
       expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email });
@@ -1429,6 +3659,183 @@ describe('ErrsoleMongoDB', () => {
         { $set: { hashed_password: hashedNewPassword } }
       );
     });
+
+    it('should reject a new password that does not meet the password policy', async () => {
+      errsole.passwordPolicy.minLength = 8;
+      await expect(errsole.updatePassword('john@example.com', 'currentPassword', 'short')).rejects.toThrow('Password must be at least 8 characters long.');
+
+      expect(mockUsersCollection.findOne).not.toHaveBeenCalled();
+      expect(mockUsersCollection.updateOne).not.toHaveBeenCalled();
+    });
+
+    describe('with a password history', () => {
+      let custom;
+      const user = { _id: new ObjectId(), email: 'john@example.com', hashed_password: 'hash_3', password_history: ['hash_3', 'hash_2', 'hash_1'] };
+
+      beforeEach(async () => {
+        custom = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db', { passwordPolicy: { historySize: 3 } });
+        await custom.ready();
+        jest.clearAllMocks();
+      });
+
+      it('should reject a new password matching one of the last passwords', async () => {
+        mockUsersCollection.findOne.mockResolvedValueOnce(user);
+        bcrypt.compare.mockImplementation(async (password, hash) => (password === 'currentPassword' && hash === 'hash_3') || (password === 'oldPassword' && hash === 'hash_1'));
+
+        await expect(custom.updatePassword(user.email, 'currentPassword', 'oldPassword')).rejects.toThrow('New password must differ from the last 3 passwords.');
+
+        expect(bcrypt.compare).toHaveBeenCalledWith('oldPassword', 'hash_1');
+        expect(bcrypt.hash).not.toHaveBeenCalled();
+        expect(mockUsersCollection.updateOne).not.toHaveBeenCalled();
+      });
+
+      it('should store the new hash and drop the oldest one from the history', async () => {
+        mockUsersCollection.findOne.mockResolvedValueOnce(user);
+        bcrypt.compare.mockImplementation(async (password, hash) => password === 'currentPassword' && hash === 'hash_3');
+        bcrypt.hash.mockResolvedValueOnce('hash_4');
+        mockUsersCollection.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+
+        const result = await custom.updatePassword(user.email, 'currentPassword', 'newPassword');
+
+        expect(mockUsersCollection.updateOne).toHaveBeenCalledWith(
+          { email: user.email },
+          { $set: { hashed_password: 'hash_4', password_history: ['hash_4', 'hash_3', 'hash_2'] } }
+        );
+        expect(result).toEqual({ item: { id: user._id.toString(), email: user.email } });
+      });
+
+      it('should start the history from the current hash of a user without one', async () => {
+        mockUsersCollection.findOne.mockResolvedValueOnce({ _id: user._id, email: user.email, hashed_password: 'hash_3' });
+        bcrypt.compare.mockImplementation(async (password, hash) => password === 'currentPassword' && hash === 'hash_3');
+        bcrypt.hash.mockResolvedValueOnce('hash_4');
+        mockUsersCollection.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+
+        await custom.updatePassword(user.email, 'currentPassword', 'newPassword');
+
+        expect(mockUsersCollection.updateOne).toHaveBeenCalledWith(
+          { email: user.email },
+          { $set: { hashed_password: 'hash_4', password_history: ['hash_4', 'hash_3'] } }
+        );
+      });
+    });
+  });
+
+  describe('password reset tokens', () => {
+    let errsole;
+    const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+    beforeEach(async () => {
+      jest.clearAllMocks();
+      mockDb.collection.mockImplementation((name) => {
+        if (name === 'errsole_users') return mockUsersCollection;
+        if (name === 'errsole_password_resets') return mockPasswordResetsCollection;
+        return mockLogsCollection;
+      });
+      errsole = new ErrsoleMongoDB('mongodb://localhost:27017', 'test_db');
+      await errsole.ready();
+      jest.clearAllMocks();
+    });
+
+    describe('createPasswordResetToken', () => {
+      it('should store a hash of a new token and replace the earlier tokens of the user', async () => {
+        const userId = new ObjectId();
+        mockUsersCollection.findOne.mockResolvedValueOnce({ _id: userId });
+        const now = Date.now();
+
+        const result = await errsole.createPasswordResetToken('john@example.com', 60000);
+
+        expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ email: 'john@example.com' }, { projection: { _id: 1 } });
+        expect(result.item.token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(result.item.expires_at.getTime()).toBeGreaterThanOrEqual(now + 60000);
+        expect(mockPasswordResetsCollection.deleteMany).toHaveBeenCalledWith({ user_id: userId });
+        expect(mockPasswordResetsCollection.insertOne).toHaveBeenCalledWith({
+          user_id: userId,
+          hashed_token: hashToken(result.item.token),
+          created_at: expect.any(Date),
+          expires_at: result.item.expires_at
+        });
+      });
+
+      it('should default the TTL to one hour', async () => {
+        mockUsersCollection.findOne.mockResolvedValueOnce({ _id: new ObjectId() });
+        const now = Date.now();
+
+        const result = await errsole.createPasswordResetToken('john@example.com');
+
+        expect(result.item.expires_at.getTime()).toBeGreaterThanOrEqual(now + 3600000);
+        expect(result.item.expires_at.getTime()).toBeLessThan(now + 3600000 + 60000);
+      });
+
+      it('should throw an error if the user is not found', async () => {
+        mockUsersCollection.findOne.mockResolvedValueOnce(null);
+
+        await expect(errsole.createPasswordResetToken('nonexistent@example.com')).rejects.toThrow('User not found.');
+
+        expect(mockPasswordResetsCollection.insertOne).not.toHaveBeenCalled();
+      });
+
+      it('should reject an invalid TTL', async () => {
+        await expect(errsole.createPasswordResetToken('john@example.com', 0)).rejects.toThrow('TTL must be a positive number of milliseconds.');
+        await expect(errsole.createPasswordResetToken('john@example.com', 'soon')).rejects.toThrow('TTL must be a positive number of milliseconds.');
+      });
+    });
+
+    describe('resetPasswordWithToken', () => {
+      const user = { _id: new ObjectId(), email: 'john@example.com', name: 'John', hashed_password: 'hashed_password', failed_login_attempts: 3 };
+      const passwordReset = { _id: new ObjectId(), user_id: user._id };
+
+      it('should set the new password, consume the token and lift a lockout', async () => {
+        mockPasswordResetsCollection.findOne.mockResolvedValueOnce(passwordReset);
+        mockUsersCollection.findOne.mockResolvedValueOnce(user);
+        bcrypt.hash.mockResolvedValueOnce('new_hashed_password');
+        mockPasswordResetsCollection.deleteOne.mockResolvedValueOnce({ deletedCount: 1 });
+        mockUsersCollection.updateOne.mockResolvedValueOnce({ matchedCount: 1, modifiedCount: 1 });
+
+        const result = await errsole.resetPasswordWithToken('token', 'newPassword');
+
+        expect(mockPasswordResetsCollection.findOne).toHaveBeenCalledWith({ hashed_token: hashToken('token'), expires_at: { $gt: expect.any(Date) } });
+        expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ _id: user._id });
+        expect(bcrypt.hash).toHaveBeenCalledWith('newPassword', 10);
+        expect(mockPasswordResetsCollection.deleteOne).toHaveBeenCalledWith({ _id: passwordReset._id });
+        expect(mockUsersCollection.updateOne).toHaveBeenCalledWith(
+          { _id: user._id },
+          { $set: { hashed_password: 'new_hashed_password' }, $unset: { failed_login_attempts: '', locked_until: '' } }
+        );
+        expect(mockPasswordResetsCollection.deleteMany).toHaveBeenCalledWith({ user_id: user._id });
+        expect(result).toEqual({ item: { id: user._id.toString(), email: user.email, name: user.name } });
+      });
+
+      it('should reject an unknown, expired or used token', async () => {
+        mockPasswordResetsCollection.findOne.mockResolvedValueOnce(null);
+
+        await expect(errsole.resetPasswordWithToken('token', 'newPassword')).rejects.toThrow('Invalid or expired password reset token.');
+
+        expect(mockUsersCollection.updateOne).not.toHaveBeenCalled();
+      });
+
+      it('should reject a token consumed by a concurrent reset', async () => {
+        mockPasswordResetsCollection.findOne.mockResolvedValueOnce(passwordReset);
+        mockUsersCollection.findOne.mockResolvedValueOnce(user);
+        bcrypt.hash.mockResolvedValueOnce('new_hashed_password');
+        mockPasswordResetsCollection.deleteOne.mockResolvedValueOnce({ deletedCount: 0 });
+
+        await expect(errsole.resetPasswordWithToken('token', 'newPassword')).rejects.toThrow('Invalid or expired password reset token.');
+
+        expect(mockUsersCollection.updateOne).not.toHaveBeenCalled();
+      });
+
+      it('should keep the token when the new password does not meet the password policy', async () => {
+        errsole.passwordPolicy.minLength = 8;
+        await expect(errsole.resetPasswordWithToken('token', 'short')).rejects.toThrow('Password must be at least 8 characters long.');
+
+        expect(mockPasswordResetsCollection.findOne).not.toHaveBeenCalled();
+        expect(mockPasswordResetsCollection.deleteOne).not.toHaveBeenCalled();
+      });
+
+      it('should reject a missing token', async () => {
+        await expect(errsole.resetPasswordWithToken('', 'newPassword')).rejects.toThrow('Invalid or expired password reset token.');
+      });
+    });
   });
 
   describe('deleteUser', () => {
@@ -1455,6 +3862,8 @@ describe('ErrsoleMongoDB', () => {
 
       expect(mockDb.collection).toHaveBeenCalledWith('errsole_users');
       expect(mockUsersCollection.deleteOne).toHaveBeenCalledWith({ _id: new ObjectId(userId) });
+      expect(mockLogsCollection.updateMany).toHaveBeenCalledWith({ assignee: userId }, { $unset: { assignee: '' } });
+      expect(mockLogsCollection.deleteMany).toHaveBeenCalledWith({ user_id: new ObjectId(userId) });
       expect(result).toEqual({});
     });
 
@@ -1487,7 +3896,29 @@ describe('ErrsoleMongoDB', () => {
       await errsole.updateLogsCollectionTTL(7200000);
 
       expect(mockLogsCollection.dropIndex).toHaveBeenCalledWith('timestamp_1');
-      expect(mockLogsCollection.createIndex).toHaveBeenCalledWith({ timestamp: 1 }, { expireAfterSeconds: 7200 });
+      expect(mockLogsCollection.createIndex).toHaveBeenCalledWith({ timestamp: 1 }, { expireAfterSeconds: 7200, partialFilterExpression: { 'metadata.expires': true } });
+    });
+
+    it('should mark the stored logs as expiring when it replaces a TTL index without a filter', async () => {
+      await errsole.updateLogsCollectionTTL(2592000000);
+
+      expect(mockLogsCollection.dropIndex).toHaveBeenCalledWith('timestamp_1');
+      expect(mockLogsCollection.updateMany).toHaveBeenCalledWith(
+        { 'metadata.expires': { $exists: false }, restored_at: { $exists: false } },
+        { $set: { 'metadata.expires': true } }
+      );
+      expect(mockLogsCollection.createIndex).toHaveBeenCalledWith({ timestamp: 1 }, { expireAfterSeconds: 2592000, partialFilterExpression: { 'metadata.expires': true } });
+    });
+
+    it('should keep a TTL index that already matches', async () => {
+      mockLogsCollection.indexes.mockResolvedValueOnce([
+        { key: { timestamp: 1 }, expireAfterSeconds: 7200, partialFilterExpression: { 'metadata.expires': true }, name: 'timestamp_1' }
+      ]);
+
+      await errsole.updateLogsCollectionTTL(7200000);
+
+      expect(mockLogsCollection.dropIndex).not.toHaveBeenCalled();
+      expect(mockLogsCollection.updateMany).not.toHaveBeenCalled();
     });
   });
 
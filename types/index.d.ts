@@ -1,4 +1,6 @@
 declare module 'errsole-mongodb' {
+  import { EventEmitter } from 'events';
+  import { Readable } from 'stream';
   import { MongoClientOptions } from 'mongodb';
 
   interface Log {
@@ -11,10 +13,13 @@ declare module 'errsole-mongodb' {
     message: string;
     meta?: string;
     errsole_id?: number;
+    fingerprint?: string;
+    restored_at?: Date;
   }
 
   interface LogFilter {
     hostname?: string;
+    hostnames?: string[];
     pid?: number;
     level_json?: { source: string; level: string }[];
     sources?: string[];
@@ -25,7 +30,83 @@ declare module 'errsole-mongodb' {
     gte_timestamp?: Date;
     limit?: number;
     errsole_id?: number;
+    fingerprint?: string;
+    metaFilters?: Record<string, unknown>;
+    cursor?: string;
+    withCounts?: boolean;
+    facets?: ('hostname' | 'source' | 'level')[];
+  }
+
+  interface LogCounts {
+    total?: number;
+    isTotalEstimated?: boolean;
+    facets?: { [field: string]: { [value: string]: number } };
+  }
+
+  interface ExportOptions {
+    format?: 'ndjson' | 'csv' | 'json';
+    includeMeta?: boolean;
+    columns?: string[];
+  }
 
+  interface ImportOptions {
+    format?: 'ndjson' | 'csv';
+    preserveTimestamps?: boolean;
+    dedupe?: boolean;
+  }
+
+  interface LogStatsOptions {
+    groupBy?: ('hostname' | 'source' | 'level')[];
+    interval?: 'minute' | 'hour' | 'day';
+    gte_timestamp?: Date;
+    lte_timestamp?: Date;
+    timezone?: string;
+    hostnames?: string[];
+    level_json?: { source: string; level: string }[];
+  }
+
+  interface LogStat {
+    timestamp: Date;
+    hostname?: string;
+    source?: string;
+    level?: string;
+    count: number;
+  }
+
+  interface Issue {
+    id: string;
+    fingerprint: string;
+    source: string;
+    level: string;
+    message: string;
+    status: 'open' | 'resolved' | 'ignored';
+    assignee?: string;
+    resolved_at?: Date;
+    first_seen: Date;
+    last_seen: Date;
+    count: number;
+    hostnames: string[];
+  }
+
+  interface IssueFilter {
+    status?: 'open' | 'resolved' | 'ignored';
+    assignee?: string;
+    hostnames?: string[];
+    level_json?: { source: string; level: string }[];
+    lte_timestamp?: Date;
+    gte_timestamp?: Date;
+    sort?: 'last_seen' | 'first_seen' | 'count';
+    limit?: number;
+  }
+
+  interface TailOptions {
+    resumeAfter?: object;
+    pollInterval?: number;
+  }
+
+  interface LogTail extends EventEmitter, AsyncIterable<Log> {
+    readonly resumeToken?: object;
+    close(): Promise<{}>;
   }
 
   interface Config {
@@ -34,11 +115,28 @@ declare module 'errsole-mongodb' {
     value: string;
   }
 
+  interface RetentionRule {
+    source?: string;
+    level?: string;
+    ttl: number;
+  }
+
+  interface PasswordPolicy {
+    minLength?: number;
+    requireLowercase?: boolean;
+    requireUppercase?: boolean;
+    requireDigit?: boolean;
+    requireSymbol?: boolean;
+    historySize?: number;
+  }
+
   interface User {
     id: string;
     name: string;
     email: string;
     role: string;
+    failed_login_attempts?: number;
+    locked_until?: Date;
   }
 
   interface Notification {
@@ -50,17 +148,75 @@ declare module 'errsole-mongodb' {
     updated_at?: Date;
   }
 
-  class ErrsoleMongoDB {
-    constructor(uri: string, dbNameOrOptions: string | MongoClientOptions, options?: MongoClientOptions);
+  interface ErrsoleMongoDBOptions extends MongoClientOptions {
+    collectionPrefix?: string;
+    batchSize?: number;
+    flushInterval?: number;
+    maxBatchBytes?: number;
+    adaptiveBatching?: boolean;
+    minBatchSize?: number;
+    maxBatchSize?: number;
+    spillDirectory?: string;
+    spillMaxBytes?: number;
+    flushRetryAttempts?: number;
+    flushRetryDelay?: number;
+    flushRetryMaxDelay?: number;
+    maxPendingLogs?: number;
+    maxPendingBytes?: number;
+    overflowPolicy?: 'drop-oldest' | 'drop-newest' | 'drop-below-level' | 'block';
+    overflowMinLevel?: string;
+    closeOnExit?: boolean;
+    connectRetryAttempts?: number;
+    connectRetryDelay?: number;
+    connectRetryMaxDelay?: number;
+    timeSeriesLogs?: boolean;
+    timeSeriesGranularity?: 'seconds' | 'minutes' | 'hours';
+    searchWindow?: number;
+    countLimit?: number;
+    pruneInterval?: number;
+    archiveDirectory?: string;
+    archiveGracePeriod?: number;
+    restoreRetention?: number;
+    issueLevels?: string[];
+    metaIndexPaths?: string[];
+    maxLoginAttempts?: number;
+    loginLockoutDuration?: number;
+    passwordPolicy?: PasswordPolicy;
+    passwordHashCost?: number;
+  }
+
+  class ErrsoleMongoDB extends EventEmitter {
+    constructor(uri: string, dbNameOrOptions: string | ErrsoleMongoDBOptions, options?: ErrsoleMongoDBOptions);
+
+    readonly pendingLogsBytes: number;
+    readonly inFlightLogsCount: number;
+    readonly inFlightLogsBytes: number;
+    readonly droppedLogsCount: number;
 
+    ready(): Promise<{}>;
     getConfig(key: string): Promise<{ item: Config }>;
     setConfig(key: string, value: string): Promise<{ item: Config }>;
     deleteConfig(key: string): Promise<{}>;
     postLogs(logEntries: Log[]): Promise<{}>;
-    getLogs(filters?: LogFilter): Promise<{ items: Log[] }>;
-    searchLogs(searchTerms: string[], filters?: LogFilter): Promise<{ items: Log[], filters: LogFilter[] }>;
+    flushLogs(): Promise<{}>;
+    close(options?: { timeoutMs?: number }): Promise<{}>;
+    getLogs(filters?: LogFilter): Promise<{ items: Log[], nextCursor: string | null, prevCursor: string | null } & LogCounts>;
+    searchLogs(searchTerms: string[] | string, filters?: LogFilter): Promise<{ items: Log[], filters: LogFilter, nextCursor: string | null, prevCursor: string | null } & LogCounts>;
     deleteAllLogs(): Promise<{}>;
+    pruneLogs(): Promise<{ deletedCount: number }>;
+    getRetentionRules(): Promise<{ items: RetentionRule[] }>;
+    setRetentionRules(rules: RetentionRule[]): Promise<{ items: RetentionRule[] }>;
+    applyRetentionRules(): Promise<{ deletedCount: number }>;
+    restoreArchive(archivePath: string): Promise<{ restoredCount: number; skippedCount: number; failedCount: number }>;
     getHostnames(): Promise<{ items: string[] }>;
+    tailLogs(filters?: LogFilter, options?: TailOptions): LogTail;
+    exportLogs(filters?: LogFilter, options?: ExportOptions): Readable;
+    importLogs(stream: NodeJS.ReadableStream, options?: ImportOptions): Promise<{ insertedCount: number; skippedCount: number; invalidCount: number }>;
+    getLogStats(options?: LogStatsOptions): Promise<{ items: LogStat[] }>;
+    getIssues(filters?: IssueFilter): Promise<{ items: Issue[] }>;
+    updateIssue(id: string, updates: { status?: 'open' | 'resolved' | 'ignored'; assignee?: string | null }): Promise<{ item: Issue }>;
+    getLogsByIssue(fingerprint: string, filters?: LogFilter): Promise<{ items: Log[], nextCursor: string | null, prevCursor: string | null }>;
+    getLogContext(id: string, options?: { before?: number; after?: number; sameHostname?: boolean; samePid?: boolean }): Promise<{ items: Log[] }>;
     getMeta(id: string): Promise<{ item: { id: string; meta: string } }>;
     createUser(user: { name: string; email: string; password: string; role: string }): Promise<{ item: User }>;
     verifyUser(email: string, password: string): Promise<{ item: User }>;
@@ -69,6 +225,9 @@ declare module 'errsole-mongodb' {
     getUserByEmail(email: string): Promise<{ item: User }>;
     updateUserByEmail(email: string, updates: Partial<User>): Promise<{ item: User }>;
     updatePassword(email: string, currentPassword: string, newPassword: string): Promise<{ item: User }>;
+    unlockUser(email: string): Promise<{}>;
+    createPasswordResetToken(email: string, ttl?: number): Promise<{ item: { token: string; expires_at: Date } }>;
+    resetPasswordWithToken(token: string, newPassword: string): Promise<{ item: User }>;
     deleteUser(id: string): Promise<{}>;
     insertNotificationItem(notification: Notification): Promise<{
       previousNotificationItem: Notification | null;